@@ -0,0 +1,293 @@
+// REST client for the SAP DM public APIs (order and SFC endpoints) used by the Complete Order plugin
+sap.ui.define([
+    "sap/ui/base/Object",
+    "sap/base/Log"
+], function (BaseObject, Log) {
+    "use strict";
+
+    // Default time limit for one HTTP call
+    const DEFAULT_TIMEOUT_MS = 30000;
+
+    // Default number of retries for idempotent (GET) calls after the first attempt
+    const DEFAULT_GET_RETRIES = 2;
+
+    // Wait before the first retry; doubled for every further retry
+    const RETRY_BASE_DELAY_MS = 500;
+
+    // HTTP statuses worth retrying for idempotent calls (throttling, gateway and server hiccups)
+    const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+    /**
+     * Normalized error for every failed DM API call, whatever the failure was.
+     * - status: HTTP status, or 0 if no response was received (network error or timeout).
+     * - code: DM error code from the response body, if any.
+     * - message: DM error message, or a generic text for the failure kind.
+     * - details: additional error details from the response body, if any.
+     * - isTimeout / isNetworkError: set when no response was received.
+     */
+    class DmRestError extends Error {
+        constructor(mProperties) {
+            super(mProperties.message);
+            this.name = "DmRestError";
+            this.status = mProperties.status || 0;
+            this.code = mProperties.code || "";
+            this.details = mProperties.details || null;
+            this.method = mProperties.method || "";
+            this.url = mProperties.url || "";
+            this.isTimeout = !!mProperties.isTimeout;
+            this.isNetworkError = !!mProperties.isNetworkError;
+        }
+    }
+
+    /**
+     * Builds a URL from a base, a path and query parameters.
+     * Parameter values are URL encoded; null, undefined and "" are left out; arrays repeat the parameter.
+     * @param {string} sBaseUrl - Data source URI of the public API.
+     * @param {string} sPath - Endpoint path, e.g. "/order/v1/orders".
+     * @param {object} [mParams] - Query parameters.
+     * @returns {string}
+     */
+    function buildUrl(sBaseUrl, sPath, mParams) {
+        const aQuery = [];
+        Object.keys(mParams || {}).forEach(sKey => {
+            const vValue = mParams[sKey];
+            const aValues = Array.isArray(vValue) ? vValue : [vValue];
+            aValues.forEach(v => {
+                if (v === null || v === undefined || v === "") return;
+                aQuery.push(encodeURIComponent(sKey) + "=" + encodeURIComponent(v));
+            });
+        });
+        return sBaseUrl + sPath + (aQuery.length ? "?" + aQuery.join("&") : "");
+    }
+
+    /**
+     * Parses a response body: empty body gives null, JSON is parsed, anything else is returned as text.
+     * @param {string} sText - Response body.
+     * @returns {*}
+     */
+    function parseBody(sText) {
+        if (!sText || sText.trim() === "") return null;
+        try {
+            return JSON.parse(sText);
+        } catch {
+            return sText;
+        }
+    }
+
+    /**
+     * Creates the normalized error for an HTTP error response.
+     * Understands the DM error body shapes { error: { code, message, details } }, { code, message } and plain text.
+     * @param {Response} oResponse - Fetch response with a non-OK status.
+     * @param {*} vBody - Parsed response body.
+     * @param {string} sMethod - HTTP method.
+     * @param {string} sUrl - Called URL.
+     * @param {function(string, any[]): string} fnGetText - Text resolver of the client, used if DM sent no message.
+     * @returns {DmRestError}
+     */
+    function createHttpError(oResponse, vBody, sMethod, sUrl, fnGetText) {
+        const oError = (vBody && typeof vBody === "object") ? (vBody.error || vBody) : {};
+        const sText = typeof vBody === "string" ? vBody.trim() : "";
+        return new DmRestError({
+            status: oResponse.status,
+            code: oError.code,
+            message: oError.message || sText || fnGetText("rest.httpError", [oResponse.status]),
+            details: oError.details,
+            method: sMethod,
+            url: sUrl
+        });
+    }
+
+    /**
+     * Returns a promise that resolves after the given time.
+     * @param {number} iMs - Delay in milliseconds.
+     * @returns {Promise}
+     */
+    function wait(iMs) {
+        return new Promise(res => setTimeout(res, iMs));
+    }
+
+    // === Client definition ===
+
+    const DmRestClient = BaseObject.extend("bobm.custom.completeorderplugin.orderviewplugin.service.DmRestClient", {
+
+    /**
+     * Creates a client for one public API data source.
+     * @param {object} mSettings - Settings.
+     * @param {string} mSettings.baseUrl - Data source URI, e.g. from 'getPublicApiRestDataSourceUri()'.
+     * @param {number} [mSettings.timeout] - Time limit per HTTP call in milliseconds.
+     * @param {number} [mSettings.getRetries] - Retries for GET calls after the first attempt.
+     * @param {function(string, any[]): string} mSettings.getText - Returns the user's text for an i18n key
+     *   (rest.httpError, rest.timeout, rest.networkError, rest.unknownError), used for the messages of DmRestErrors.
+     */
+        constructor: function (mSettings) {
+            BaseObject.apply(this);
+            this._sBaseUrl = mSettings.baseUrl;
+            this._fnGetText = mSettings.getText;
+            this._iTimeout = mSettings.timeout || DEFAULT_TIMEOUT_MS;
+            this._iGetRetries = typeof mSettings.getRetries === "number" ? mSettings.getRetries : DEFAULT_GET_RETRIES;
+            this._pCsrfToken = null;
+        },
+
+    /**
+     * Calls a GET endpoint. Retried with backoff on network errors, timeouts and temporary server errors.
+     * @param {string} sPath - Endpoint path.
+     * @param {object} [mParams] - Query parameters.
+     * @returns {Promise<*>} - Parsed response body (null for an empty body); rejects with a DmRestError.
+     */
+        get: function (sPath, mParams) {
+            return this._requestWithRetry("GET", buildUrl(this._sBaseUrl, sPath, mParams), undefined);
+        },
+
+    /**
+     * Calls a POST endpoint with CSRF protection. Not retried, as the call may not be idempotent.
+     * @param {string} sPath - Endpoint path.
+     * @param {object} [mParams] - Query parameters.
+     * @param {object} [oBody] - JSON body.
+     * @returns {Promise<*>} - Parsed response body; rejects with a DmRestError.
+     */
+        post: function (sPath, mParams, oBody) {
+            return this._modifyingRequest("POST", buildUrl(this._sBaseUrl, sPath, mParams), oBody || {});
+        },
+
+    /**
+     * Calls a PATCH endpoint with CSRF protection. Not retried, as the call may not be idempotent.
+     * @param {string} sPath - Endpoint path.
+     * @param {object} [mParams] - Query parameters.
+     * @param {object} [oBody] - JSON body.
+     * @returns {Promise<*>} - Parsed response body; rejects with a DmRestError.
+     */
+        patch: function (sPath, mParams, oBody) {
+            return this._modifyingRequest("PATCH", buildUrl(this._sBaseUrl, sPath, mParams), oBody || {});
+        },
+
+    /**
+     * Runs an idempotent request, retrying failures that are likely temporary.
+     * @param {string} sMethod - HTTP method.
+     * @param {string} sUrl - Full URL.
+     * @param {object} [mHeaders] - Additional headers.
+     * @returns {Promise<*>}
+     */
+        _requestWithRetry: async function (sMethod, sUrl, mHeaders) {
+            for (let iAttempt = 0; ; iAttempt++) {
+                try {
+                    return await this._request(sMethod, sUrl, mHeaders, undefined);
+                } catch (oError) {
+                    const bRetryable = oError.isNetworkError || oError.isTimeout || RETRYABLE_STATUSES.includes(oError.status);
+                    if (!bRetryable || iAttempt >= this._iGetRetries) throw oError;
+                    const iDelay = RETRY_BASE_DELAY_MS * Math.pow(2, iAttempt);
+                    Log.warning(`${sMethod} ${sUrl} failed (${oError.message}), retry ${iAttempt + 1} in ${iDelay} ms`);
+                    await wait(iDelay);
+                }
+            }
+        },
+
+    /**
+     * Runs a modifying request with the CSRF token.
+     * If the server rejects the token (403 with 'x-csrf-token: Required'), the token is fetched again and the call repeated once.
+     * @param {string} sMethod - HTTP method.
+     * @param {string} sUrl - Full URL.
+     * @param {object} oBody - JSON body.
+     * @returns {Promise<*>}
+     */
+        _modifyingRequest: async function (sMethod, sUrl, oBody) {
+            const sToken = await this._getCsrfToken(false);
+            try {
+                return await this._request(sMethod, sUrl, { "X-CSRF-Token": sToken }, oBody);
+            } catch (oError) {
+                if (!oError.csrfRequired) throw oError;
+                const sNewToken = await this._getCsrfToken(true);
+                return this._request(sMethod, sUrl, { "X-CSRF-Token": sNewToken }, oBody);
+            }
+        },
+
+    /**
+     * Returns the CSRF token for modifying calls, fetched once and shared by all calls.
+     * Uses a GET on the data source with header 'X-CSRF-Token: Fetch'.
+     * @param {boolean} bRefresh - Fetch a new token even if one is cached.
+     * @returns {Promise<string>} - Token, or "" if the server did not send one (then no token is needed).
+     */
+        _getCsrfToken: function (bRefresh) {
+            if (!this._pCsrfToken || bRefresh) {
+                this._pCsrfToken = fetch(this._sBaseUrl, {
+                    method: "GET",
+                    headers: { "X-CSRF-Token": "Fetch" },
+                    credentials: "include" // needed for cookies/session in SAP
+                })
+                .then(res => res.headers.get("x-csrf-token") || "")
+                .catch(oError => {
+                    this._pCsrfToken = null;
+                    Log.warning("CSRF token could not be fetched", oError && oError.message);
+                    return "";
+                });
+            }
+            return this._pCsrfToken;
+        },
+
+    /**
+     * Returns a message for any error of a DM API call, for display to the user.
+     * @param {Error} oError - DmRestError or any other error.
+     * @param {string} [sFallback] - Message used if the error has none.
+     * @returns {string}
+     */
+        getErrorMessage: function (oError, sFallback) {
+            return (oError && oError.message) || sFallback || this._fnGetText("rest.unknownError");
+        },
+
+    /**
+     * Runs one HTTP call with a timeout and turns every failure into a DmRestError.
+     * @param {string} sMethod - HTTP method.
+     * @param {string} sUrl - Full URL.
+     * @param {object} [mHeaders] - Additional headers.
+     * @param {object} [oBody] - JSON body.
+     * @returns {Promise<*>} - Parsed response body.
+     */
+        _request: async function (sMethod, sUrl, mHeaders, oBody) {
+            const oAbortController = new AbortController();
+            const iTimer = setTimeout(() => oAbortController.abort(), this._iTimeout);
+            const mAllHeaders = Object.assign({ "Accept": "application/json" }, mHeaders);
+            if (oBody !== undefined) {
+                mAllHeaders["Content-Type"] = "application/json";
+            }
+
+            let oResponse;
+            let sText;
+            try {
+                oResponse = await fetch(sUrl, {
+                    method: sMethod,
+                    headers: mAllHeaders,
+                    body: oBody !== undefined ? JSON.stringify(oBody) : undefined,
+                    credentials: "include",
+                    signal: oAbortController.signal
+                });
+                sText = await oResponse.text();
+            } catch (oFetchError) {
+                const bTimeout = oFetchError && oFetchError.name === "AbortError";
+                throw new DmRestError({
+                    message: bTimeout
+                        ? this._fnGetText("rest.timeout", [this._iTimeout / 1000])
+                        : this._fnGetText("rest.networkError"),
+                    method: sMethod,
+                    url: sUrl,
+                    isTimeout: bTimeout,
+                    isNetworkError: !bTimeout
+                });
+            } finally {
+                clearTimeout(iTimer);
+            }
+
+            const vBody = parseBody(sText);
+            if (!oResponse.ok) {
+                const oError = createHttpError(oResponse, vBody, sMethod, sUrl, this._fnGetText);
+                oError.csrfRequired = oResponse.status === 403
+                    && String(oResponse.headers.get("x-csrf-token")).toLowerCase() === "required";
+                throw oError;
+            }
+            return vBody;
+        }
+    });
+
+    DmRestClient.DmRestError = DmRestError;
+    DmRestClient.buildUrl = buildUrl;
+
+    return DmRestClient;
+});
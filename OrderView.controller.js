@@ -4,10 +4,43 @@ sap.ui.define([
     "sap/ui/model/json/JSONModel",
     "sap/dm/dme/podfoundation/controller/PluginViewController",
     "sap/base/Log",
-    "sap/m/MessageToast"
-], function (JSONModel, PluginViewController, Log, MessageToast) {
+    "sap/m/MessageToast",
+    "sap/m/MessageBox",
+    "sap/ui/core/Fragment",
+    "sap/ui/core/util/File",
+    "sap/ui/export/Spreadsheet",
+    "sap/ui/export/library",
+    "sap/ui/model/Sorter",
+    "sap/ui/core/library",
+    "sap/ui/util/Storage",
+    "sap/m/p13n/Engine",
+    "sap/m/p13n/SelectionController",
+    "sap/m/p13n/SortController",
+    "sap/m/p13n/GroupController",
+    "sap/m/p13n/MetadataHelper",
+    "sap/dm/dme/util/PlantSettings",
+    "sap/ui/model/resource/ResourceModel",
+    "sap/ui/core/format/DateFormat",
+    "sap/ui/core/format/NumberFormat",
+    "sap/base/strings/formatMessage",
+    "sap/m/library",
+    "bobm/custom/completeorderplugin/orderviewplugin/service/DmRestClient",
+    "bobm/custom/completeorderplugin/orderviewplugin/service/PodEvents"
+], function (JSONModel, PluginViewController, Log, MessageToast, MessageBox, Fragment, File, Spreadsheet, exportLibrary,
+    Sorter, coreLibrary, Storage, Engine, SelectionController, SortController, GroupController, MetadataHelper, PlantSettings, ResourceModel, DateFormat, NumberFormat, formatMessage, mobileLibrary, DmRestClient, POD_EVENT) {
     "use strict";
 
+    // Resource bundle with all texts of the order view (i18n.properties and its language variants)
+    const I18N_BUNDLE_NAME = "bobm.custom.completeorderplugin.orderviewplugin.i18n.i18n";
+
+    // Locale-aware formats of the user's language for quantities and dates
+    const QUANTITY_FORMAT = NumberFormat.getFloatInstance();
+    const DATE_TIME_FORMAT = DateFormat.getDateTimeWithTimezoneInstance({ style: "medium", showTimezone: false });
+    const TIME_FORMAT = DateFormat.getTimeInstance({ style: "medium" });
+
+    const EdmType = exportLibrary.EdmType;
+    const SortOrder = coreLibrary.SortOrder;
+
     /**
      * ashutosh.d.kashyap
      * Extracts the Unit of Measure (UOM) for an order from the backend object.
@@ -33,458 +66,4082 @@ sap.ui.define([
         return "";
     }
 
+    /**
+     * Formats a quantity with its Unit of Measure for display in the user's locale, e.g. "1,250.5 EA" or "1.250,5 EA"
+     * (or without UOM if there is none). Values that are not numbers are shown as they are.
+     * @param {number|string} value - Quantity.
+     * @param {string} uom - Unit of Measure or "".
+     * @returns {string}
+     */
+    function formatQuantityWithUom(value, uom) {
+        const sValue = typeof value === "number" ? QUANTITY_FORMAT.format(value) : `${value}`;
+        return uom ? `${sValue} ${uom}` : sValue;
+    }
+
     /**
      * ashutosh.d.kashyap
-     * Formats an ISO date string into a human-readable format ("MM DD, YYYY, hh:mm:ss AM/PM").
+     * Formats an ISO date string into a human-readable date and time in the user's locale
+     * (medium style, e.g. "Jul 31, 2025, 6:00:30 PM" in English or "31.07.2025, 18:00:30" in German).
      * Attempts to parse the input string into a Date object.
      * If the string is invalid or empty, returns "-".
-     * Uses 'en-US' locale to ensure AM/PM and readable formatting.
-     * @param {string} dateStr - ISO date string.
+     * @param {string|Date} dateStr - ISO date string or Date.
+     * @param {string} [sTimeZone] - IANA time zone to show the date in (e.g. the plant's); configured time zone if omitted.
      * @returns {string} - Formatted date or "-".
      */
-    function formatDate(dateStr) {
+    function formatDate(dateStr, sTimeZone) {
         if (!dateStr) return "-";
         try {
             const date = new Date(dateStr);
             if (isNaN(date.getTime())) return "-";
-            // Format: 'Jul 31, 2025, 6:00:30 PM'
-            return date.toLocaleString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric',
-                hour: 'numeric',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: true
-            });
+            return DATE_TIME_FORMAT.format(date, sTimeZone || undefined);
         } catch {
             return "-";
         }
     }
     
 
+    /**
+     * Converts an ISO date string into a Date, or null if it is missing or invalid.
+     * @param {string} dateStr - ISO date string.
+     * @returns {Date|null}
+     */
+    function toDateOrNull(dateStr) {
+        if (!dateStr) return null;
+        const date = new Date(dateStr);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
     /**
      * ashutosh.d.kashyap
-     * Safely parses and validates the value from a SAPUI5 DatePicker control into a Date object.
+     * Safely reads the date of a SAPUI5 DatePicker control as a Date object.
      * Returns null if the control is missing, value is empty, or the date is invalid.
-     * Ensures robustness across browsers and user input scenarios.
+     * The control parses the text in the user's locale (e.g. "31.07.2025" in German), so its date value is used
+     * instead of the displayed text.
      * @param {sap.m.DatePicker} oDatePicker - The DatePicker instance.
      * @returns {Date|null} - JavaScript Date object or null.
      */
     function parseDatePickerValue(oDatePicker) {
         if (!oDatePicker) return null;
-        const value = oDatePicker.getValue();
-        if (!value) return null;
-        // Handles both ISO and formatted values (browser dependent)
-        const dt = new Date(value);
-        return isNaN(dt.getTime()) ? null : dt;
+        const dt = oDatePicker.getDateValue();
+        return (dt instanceof Date && !isNaN(dt.getTime())) ? dt : null;
+    }
+
+    // Relative date ranges of the filter bar as day offsets from today (inclusive), resolved when the search runs
+    const RELATIVE_DATE_RANGES = {
+        TODAY: { from: 0, to: 0 },
+        YESTERDAY: { from: -1, to: -1 },
+        TOMORROW: { from: 1, to: 1 },
+        LAST_7_DAYS: { from: -6, to: 0 },
+        LAST_30_DAYS: { from: -29, to: 0 },
+        NEXT_7_DAYS: { from: 0, to: 6 }
+    };
+
+    /**
+     * Resolves a relative date range (e.g. "LAST_7_DAYS") into From/To dates, relative to the given day.
+     * Dates are at local midnight, like the values of the DatePickers.
+     * @param {string} sRangeKey - Key of RELATIVE_DATE_RANGES, or "" for custom dates.
+     * @param {Date} oToday - Reference day (usually now).
+     * @returns {object|null} - { dateFromObj, dateToObj }, or null for custom dates.
+     */
+    function resolveRelativeDateRange(sRangeKey, oToday) {
+        const oRange = RELATIVE_DATE_RANGES[sRangeKey];
+        if (!oRange) return null;
+        const dayAt = iOffset => new Date(oToday.getFullYear(), oToday.getMonth(), oToday.getDate() + iOffset);
+        return { dateFromObj: dayAt(oRange.from), dateToObj: dayAt(oRange.to) };
+    }
+
+    /**
+     * Converts a Date into a "YYYY-MM-DD" day string in local time, for saving in filter variants and for the
+     * dateFrom/dateTo parameters of the order list API.
+     * @param {Date|null} date - Date.
+     * @returns {string|null}
+     */
+    function toIsoDay(date) {
+        if (!date) return null;
+        const pad = n => String(n).padStart(2, "0");
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Converts a "YYYY-MM-DD" day string back into a Date at local midnight.
+     * @param {string|null} sDay - Day string from 'toIsoDay'.
+     * @returns {Date|null}
+     */
+    function fromIsoDay(sDay) {
+        const aMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(sDay || "");
+        return aMatch ? new Date(Number(aMatch[1]), Number(aMatch[2]) - 1, Number(aMatch[3])) : null;
+    }
+
+    /**
+     * Returns the offset of a time zone from UTC at a given instant (positive east of UTC), DST included.
+     * @param {number} iInstant - Instant in milliseconds since epoch.
+     * @param {string} sTimeZone - IANA time zone, e.g. "Europe/Berlin".
+     * @returns {number} - Offset in milliseconds.
+     */
+    function getTimeZoneOffsetMs(iInstant, sTimeZone) {
+        const mParts = {};
+        new Intl.DateTimeFormat("en-US", {
+            timeZone: sTimeZone, hourCycle: "h23",
+            year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+        }).formatToParts(new Date(iInstant)).forEach(p => { mParts[p.type] = Number(p.value); });
+        const iWallClockAsUtc = Date.UTC(mParts.year, mParts.month - 1, mParts.day, mParts.hour, mParts.minute, mParts.second);
+        return iWallClockAsUtc - (iInstant - (iInstant % 1000));
+    }
+
+    /**
+     * Returns the instant at which a calendar day (plus optional days) starts in a time zone.
+     * Only year, month and day of the given Date are used, so a DatePicker value is read as a plant day.
+     * @param {Date} oDay - Calendar day.
+     * @param {number} iAddDays - Days to add, e.g. 1 for the start of the following day.
+     * @param {string} sTimeZone - IANA time zone.
+     * @returns {Date}
+     */
+    function getZonedDayStart(oDay, iAddDays, sTimeZone) {
+        const iWallClock = Date.UTC(oDay.getFullYear(), oDay.getMonth(), oDay.getDate() + iAddDays);
+        // Second pass corrects the offset on days where DST changes
+        const iFirstGuess = iWallClock - getTimeZoneOffsetMs(iWallClock, sTimeZone);
+        return new Date(iWallClock - getTimeZoneOffsetMs(iFirstGuess, sTimeZone));
+    }
+
+    /**
+     * Returns today's calendar day in a time zone, as a Date at local midnight (like a DatePicker value).
+     * @param {string} sTimeZone - IANA time zone.
+     * @returns {Date}
+     */
+    function getZonedToday(sTimeZone) {
+        const iNow = Date.now();
+        const oWallClock = new Date(iNow + getTimeZoneOffsetMs(iNow, sTimeZone));
+        return new Date(oWallClock.getUTCFullYear(), oWallClock.getUTCMonth(), oWallClock.getUTCDate());
+    }
+
+    // How the scheduled dates of an order are compared with the From/To range of the filter bar
+    const DATE_RANGE_MODE = {
+        START_WITHIN: "START_WITHIN",           // scheduled start in the range
+        COMPLETION_WITHIN: "COMPLETION_WITHIN", // scheduled completion in the range
+        FULLY_WITHIN: "FULLY_WITHIN",           // start and completion in the range
+        OVERLAPPING: "OVERLAPPING"              // start before the range ends and completion after it begins
+    };
+
+    // Range modes the order list API can apply itself: its dateFrom/dateTo parameters bound the scheduled start.
+    // For the other modes the API would drop matching orders, so they are filtered on the client only.
+    const API_DATE_RANGE_MODES = [DATE_RANGE_MODE.START_WITHIN];
+
+    /**
+     * Translates a From/To day range and a range mode into bounds on the scheduled start and completion dates.
+     * The range covers the From day 00:00 to the end of the To day in the given time zone.
+     * The client-side filter applies these bounds in every mode; the order list API gets the From/To days only
+     * in the modes it has the same meaning for (see API_DATE_RANGE_MODES).
+     * @param {string} sMode - A DATE_RANGE_MODE value.
+     * @param {Date} dateFromObj - First day of the range.
+     * @param {Date} dateToObj - Last day of the range (inclusive).
+     * @param {string} sTimeZone - Time zone the days are meant in (the plant's).
+     * @returns {object} - { startFrom, startTo, completionFrom, completionTo }, Dates or null if not bounded.
+     */
+    function getDateRangeBounds(sMode, dateFromObj, dateToObj, sTimeZone) {
+        const from = getZonedDayStart(dateFromObj, 0, sTimeZone);
+        const to = new Date(getZonedDayStart(dateToObj, 1, sTimeZone).getTime() - 1);
+        const bounds = { startFrom: null, startTo: null, completionFrom: null, completionTo: null };
+        switch (sMode) {
+            case DATE_RANGE_MODE.COMPLETION_WITHIN:
+                bounds.completionFrom = from;
+                bounds.completionTo = to;
+                break;
+            case DATE_RANGE_MODE.FULLY_WITHIN:
+                bounds.startFrom = from;
+                bounds.completionTo = to;
+                break;
+            case DATE_RANGE_MODE.OVERLAPPING:
+                bounds.startTo = to;
+                bounds.completionFrom = from;
+                break;
+            default: // START_WITHIN
+                bounds.startFrom = from;
+                bounds.startTo = to;
+        }
+        return bounds;
     }
 
     /**
      * ashutosh.d.kashyap
-     * Maps the raw order API object to a formatted object suitable for UI table row binding.
-     * Extracts key properties (orderNo, material, status, quantities, etc.), 
-     * formats values with UOM, handles missing/null fields by using "-".
-     * Defaults 'parentSFC' and 'dmReleasedQty' to "-" (will be set asynchronously after API fetch).
-     * Calculates 'availableQty' as the difference between buildQuantity and releasedQuantity if present.
-     * Prepares display-friendly scheduled dates and priority, 
-     * and determines if row selection/radio should be enabled (based on execution status).
+     * Maps the raw order API object to a typed object suitable for UI table row binding.
+     * Extracts key properties (orderNo, material, status, quantities, etc.).
+     * Quantities are kept as numbers and scheduled dates as Date objects (null when missing),
+     * so the table can sort and compare them; display texts come from the view formatters.
+     * Defaults 'parentSFC' to "-" and 'dmReleasedQuantity' to null (will be set asynchronously after API fetch).
+     * Calculates 'availableQuantity' as the difference between buildQuantity and releasedQuantity if present.
+     * Determines if row selection should be enabled (based on execution status; the 'selectableStatuses' setting is
+     * the only source, each action then acts on the selected orders in the statuses it allows).
      * @param {object} orderApiObj - Raw order object from API.
+     * @param {string[]} aSelectableStatuses - Execution statuses whose rows can be selected (plugin setting).
      * @returns {object} - Row object for table/model.
      */
-    function mapOrderApiToUiRow(orderApiObj) {
-        const uom = getOrderUOM(orderApiObj);
+    function mapOrderApiToUiRow(orderApiObj, aSelectableStatuses) {
+        const toNumberOrNull = v => (typeof v === "number" ? v : null);
+        const buildQuantity = toNumberOrNull(orderApiObj.buildQuantity);
+        const releasedQuantity = toNumberOrNull(orderApiObj.releasedQuantity);
         return {
             orderNo: orderApiObj.order || "-",
+            uom: getOrderUOM(orderApiObj),
             parentSFC: "-", // Default, will be filled later asynchronously if needed
-            materialLine: orderApiObj.material
-                ? (orderApiObj.material.material + " / " + (orderApiObj.material.version || ""))
-                : "-",
+            parentSfcAmbiguous: false,
+            parentSfcCandidates: "",
+            material: orderApiObj.material?.material || "",
+            materialVersion: orderApiObj.material?.version || "",
             materialDesc: orderApiObj.material?.description || "",
             executionStatus: orderApiObj.executionStatus || "-",
-            buildQty: orderApiObj.buildQuantity !== undefined ? orderApiObj.buildQuantity + " " + uom : "-",
-            doneQty: orderApiObj.doneQuantity !== undefined ? orderApiObj.doneQuantity + " " + uom : "-",
-            dmReleasedQty: "-", // Default, will be filled later asynchronously if needed
-            availableQty:
-                (orderApiObj.buildQuantity !== undefined && orderApiObj.releasedQuantity !== undefined)
-                    ? (orderApiObj.buildQuantity - orderApiObj.releasedQuantity) + " " + uom
-                    : "-",
-            scheduledStartEnd: formatDate(orderApiObj.scheduledStartDate) + "\n" + formatDate(orderApiObj.scheduledCompletionDate),
-            scheduledStartDate: orderApiObj.scheduledStartDate,
-            scheduledCompletionDate: orderApiObj.scheduledCompletionDate,
+            buildQuantity: buildQuantity,
+            doneQuantity: toNumberOrNull(orderApiObj.doneQuantity),
+            dmReleasedQuantity: null, // Default, will be filled later asynchronously if needed
+            releasedQuantity: releasedQuantity,
+            availableQuantity: (buildQuantity !== null && releasedQuantity !== null) ? buildQuantity - releasedQuantity : null,
+            scheduledStartDate: toDateOrNull(orderApiObj.scheduledStartDate),
+            scheduledCompletionDate: toDateOrNull(orderApiObj.scheduledCompletionDate),
             priority: orderApiObj.priority || "-",
+            selected: false,
+            changed: false, // set by the auto-refresh when status or quantities changed since the previous refresh
+            quantityMismatch: "", // set in reconciliation mode when the quantities disagree beyond the tolerance
 
-            enabled: ["ACTIVE", "NOT_IN_EXECUTION"].includes(orderApiObj.executionStatus)
+            enabled: aSelectableStatuses.includes(orderApiObj.executionStatus)
         };
     }
-    
 
-    // === Controller definition for Order View (main class) ===
+    /**
+     * Formats material and version of a row for display, e.g. "MAT-100 / A" (or "-" without material).
+     * @param {string} material - Material number.
+     * @param {string} version - Material version.
+     * @returns {string}
+     */
+    function formatMaterialLine(material, version) {
+        return material ? `${material} / ${version || ""}` : "-";
+    }
 
-    return PluginViewController.extend("bobm.custom.completeorderplugin.orderviewplugin.controller.OrderView", {
-        metadata: { properties: {} },
+    // Units of Measure that only allow whole quantities
+    const DISCRETE_UOMS = ["EA", "PC", "PCS", "ST", "UN"];
 
     /**
-     * ashutosh.d.kashyap
-     * Controller initialization method.
-     * Calls base class initializer (important for SAP plugin lifecycle).
-     * Sets up the default JSON model 'orderModel' for the view.
-     * Initializes the orders list and tracks currently selected order and its execution status.
+     * Validates the quantity typed for "Adjust Qty" against the selected order.
+     * Errors (adjustment not possible):
+     *   - Not a number, zero or negative.
+     *   - Not a whole number for a discrete UOM (EA, PC, ...).
+     *   - Same as the current DM released quantity.
+     *   - Larger than the order's build quantity.
+     * Warnings (shown for confirmation):
+     *   - New quantity plus the already delivered quantity exceeds the build quantity.
+     *   - New quantity is lower than the delivered quantity.
+     * @param {string} sValue - Value of the quantity input.
+     * @param {object} orderRow - Table row of the order (with numeric quantities).
+     * @param {module:sap/base/i18n/ResourceBundle} oBundle - Resource bundle for the messages.
+     * @returns {object} - { quantity, error, warnings }.
      */
-        onInit: function () {
-            // Call super (base class) init if present (important for plugin lifecycle)
-            if (PluginViewController.prototype.onInit) {
-                PluginViewController.prototype.onInit.apply(this, arguments);
-            }
-            // Initialize selectedExecutionStatus for tracking selected order status
-            this.getView().setModel(new JSONModel({
-                orders: [],
-                selectedOrderNo: "",
-                selectedExecutionStatus: ""
-            }), "orderModel");
-        },
+    function validateAdjustQuantity(sValue, orderRow, oBundle) {
+        const result = { quantity: null, error: "", warnings: [] };
+        const trimmed = String(sValue || "").trim();
+        // The quantity input is type="Number", so its value always uses the decimal point
+        const quantity = Number(trimmed);
+        const uom = orderRow.uom;
+
+        if (!trimmed || !isFinite(quantity)) {
+            result.error = oBundle.getText("adjust.invalidQuantity");
+        } else if (quantity <= 0) {
+            result.error = oBundle.getText("adjust.quantityNotPositive");
+        } else if (DISCRETE_UOMS.includes(String(uom).toUpperCase()) && !Number.isInteger(quantity)) {
+            result.error = oBundle.getText("adjust.quantityNotWhole", [uom]);
+        } else if (quantity === orderRow.dmReleasedQuantity) {
+            result.error = oBundle.getText("adjust.quantityUnchanged", [formatQuantityWithUom(quantity, uom)]);
+        } else if (typeof orderRow.buildQuantity === "number" && quantity > orderRow.buildQuantity) {
+            result.error = oBundle.getText("adjust.quantityAboveBuild", [formatQuantityWithUom(orderRow.buildQuantity, uom)]);
+        }
+        if (result.error) return result;
+
+        result.quantity = quantity;
+        if (typeof orderRow.doneQuantity === "number" && typeof orderRow.buildQuantity === "number"
+            && quantity + orderRow.doneQuantity > orderRow.buildQuantity) {
+            result.warnings.push(oBundle.getText("adjust.exceedsBuildWarning",
+                [formatQuantityWithUom(orderRow.doneQuantity, uom), formatQuantityWithUom(orderRow.buildQuantity, uom)]));
+        }
+        if (typeof orderRow.doneQuantity === "number" && quantity < orderRow.doneQuantity) {
+            result.warnings.push(oBundle.getText("adjust.belowDeliveredWarning", [formatQuantityWithUom(orderRow.doneQuantity, uom)]));
+        }
+        return result;
+    }
+
+    // Order execution statuses in which "Complete Order" is allowed (if also selectable, see 'selectableStatuses')
+    const COMPLETABLE_STATUSES = ["ACTIVE", "NOT_IN_EXECUTION"];
+
+    // Order execution statuses in which "Discard Order" is allowed
+    const DISCARDABLE_STATUSES = ["NOT_IN_EXECUTION"];
+
+    // Order execution statuses in which "Close Order" is allowed
+    const CLOSABLE_STATUSES = ["COMPLETED"];
+
+    // Order execution statuses that can be completed and closed in one step (option of the completion preview)
+    const COMPLETE_AND_CLOSE_STATUSES = ["NOT_IN_EXECUTION"];
+
+    // Order execution statuses in which "Hold" is allowed
+    const HOLDABLE_STATUSES = ["NOT_IN_EXECUTION", "ACTIVE"];
+
+    // Order execution statuses in which "Release" (taking the order off hold) is allowed
+    const RELEASABLE_STATUSES = ["HOLD"];
+
+    // SFC statuses that prevent discarding an order (work in progress, on hold, or already produced)
+    const DISCARD_BLOCKING_SFC_STATUSES = ["ACTIVE", "HOLD", "DONE"];
+
+    // DM public API endpoints used by this plugin (relative to the public API data source)
+    const API_PATH = {
+        ORDER_LIST: "/order/v1/orders/list",
+        ORDER_DETAIL: "/order/v1/orders",
+        ORDER_COMPLETE: "/order/v1/orders/complete",
+        ORDER_DISCARD: "/order/v1/orders/discard",
+        ORDER_CLOSE: "/order/v1/orders/close",
+        ORDER_HOLD: "/order/v1/orders/hold",
+        ORDER_RELEASE_HOLD: "/order/v1/orders/releaseHold",
+        MATERIAL_LIST: "/material/v2/materials",
+        SFC_DETAIL: "/sfc/v1/sfcdetail",
+        SFC_WORKLIST: "/sfc/v1/worklist/sfcs",
+        SFC_INVALIDATE: "/sfc/v1/sfcs/invalidate",
+        SFC_SET_QUANTITY: "/sfc/v1/sfcs/setQuantity"
+    };
 
     /**
-     * ashutosh.d.kashyap
-     * Handler for the "Filter" button press in the orders table.
-     * - Reads all input filter fields (material, execution status, order number, date range).
-     * - Performs input validation (ensures at least one filter, date range logic, etc.).
-     * - Builds API query parameters and requests the orders list from the backend.
-     * - Optionally applies client-side filtering for date ranges (scheduledStartDate within user range).
-     * - Asynchronously enriches each order in the result with Parent SFC and DM Released Qty by calling the order detail and SFC detail APIs.
-     * - Updates the view model with the final list, resets selection, and updates the item count heading.
-     * - Handles API and client-side errors by showing reqd message.
+     * Creates the initial paging state for the orders table (nothing loaded, no more pages).
+     * - totalElements / totalPages: totals of the order list API for the search.
+     * - fetchedCount: orders received from the API so far.
+     * - loadedCount: rows in the table, i.e. the fetched orders that passed the client-side filters.
+     * @returns {object} - Paging object bound under 'orderModel>/paging'.
      */
-        onFilterPress: function () {
-            // Gather input controls by their IDs
-            const oMaterial = this.byId("materialInput");
-            const oExecutionStatus = this.byId("executionStatusSelect");
-            const oOrderNo = this.byId("orderNoInput");
-            const oDateFrom = this.byId("dateFromInput");
-            const oDateTo = this.byId("dateToInput");
-            const oItemsHeading = this.byId("itemsHeading"); // item count display
-        
-            // Extract/normalize values
-            const material = oMaterial ? oMaterial.getValue().trim() : "";
-            const executionStatus = oExecutionStatus ? oExecutionStatus.getSelectedKey() : "";
-            const orderNumber = oOrderNo ? oOrderNo.getValue().trim() : "";
-            const dateFromObj = parseDatePickerValue(oDateFrom);
-            const dateToObj = parseDatePickerValue(oDateTo);
+    function createEmptyPaging() {
+        return {
+            totalElements: 0,
+            totalPages: 0,
+            fetchedCount: 0,
+            loadedCount: 0,
+            hasMore: false,
+            busy: false
+        };
+    }
 
-            const hasMaterial = !!material;
-            const hasExecStatus = !!executionStatus;
-            const hasOrder = !!orderNumber;
-            const hasDateFrom = !!dateFromObj;
-            const hasDateTo = !!dateToObj;
+    /**
+     * Applies the client-side post-filters to one page of raw orders from the order list API.
+     * The backend should already filter by these criteria; this is an extra safety net.
+     * - Date range: scheduled start/completion must respect the bounds from 'getDateRangeBounds' (inclusive);
+     *   an order without a date that is bounded is left out.
+     * - Material: exact match of material (and version, if known) when it was picked from the value help.
+     * - Execution status: exact match.
+     * - Order number: exact match when it was picked from the value help, substring match otherwise.
+     * @param {object[]} ordersList - Raw order objects from API.
+     * @param {object} oFilters - Filter values captured by 'onFilterPress'.
+     * @returns {object[]} - Orders matching all given filters.
+     */
+    function applyClientSideFilters(ordersList, oFilters) {
+        const { dateBounds, materialKey, executionStatus, orderNumber, orderNumberExact } = oFilters;
 
-            // === Validation section ===
-            if ((hasDateFrom && !hasDateTo) || (!hasDateFrom && hasDateTo)) {
-                MessageToast.show("Please provide both 'Date From' and 'Date To' to search by date range.");
-                return;
-            }
-            if (!hasMaterial && !hasExecStatus && !hasOrder && !(hasDateFrom && hasDateTo)) {
-                MessageToast.show("Please provide at least one search parameter.");
-                return;
-            }
-            // From date cannot be after To date
-            if (dateFromObj && dateToObj && dateFromObj > dateToObj) {
-                MessageToast.show("Date From cannot be later than Date To.");
-                return;
+        // Filter by date range bounds, if a range was given
+        if (dateBounds) {
+            const inBounds = (value, min, max) => {
+                if (!min && !max) return true;
+                const date = toDateOrNull(value);
+                return !!date && (!min || date >= min) && (!max || date <= max);
+            };
+            ordersList = ordersList.filter(item =>
+                inBounds(item.scheduledStartDate, dateBounds.startFrom, dateBounds.startTo)
+                && inBounds(item.scheduledCompletionDate, dateBounds.completionFrom, dateBounds.completionTo)
+            );
+        }
+
+        // Filter by the material picked from the value help
+        if (materialKey) {
+            ordersList = ordersList.filter(item =>
+                item.material && item.material.material === materialKey.material
+                && (!materialKey.version || item.material.version === materialKey.version)
+            );
+        }
+
+        // Filter by execution status, if specified (extra check, as backend should already filter)
+        if (executionStatus) {
+            ordersList = ordersList.filter(item =>
+                item.executionStatus && item.executionStatus === executionStatus
+            );
+        }
+
+        // Client-side filter for order number (in case backend search is partial or exact)
+        if (orderNumber) {
+            ordersList = ordersList.filter(item =>
+                item.order && (orderNumberExact ? item.order === orderNumber : item.order.includes(orderNumber))
+            );
+        }
+        return ordersList;
+    }
+
+    // Maximum number of orders whose Parent SFC / DM Released Qty are looked up at the same time
+    const ENRICHMENT_CONCURRENCY = 4;
+
+    // How long a looked-up Parent SFC / DM Released Qty stays valid in the per-plant cache
+    const ENRICHMENT_CACHE_TTL_MS = 60 * 1000;
+
+    /**
+     * Tells whether an order needs the Parent SFC / DM Released Qty lookup.
+     * Only orders that can still be acted on (selectable statuses, by default ACTIVE or NOT_IN_EXECUTION) are enriched.
+     * @param {object} orderApiObj - Raw order object from API.
+     * @param {string[]} aSelectableStatuses - Execution statuses whose rows can be selected (plugin setting).
+     * @returns {boolean}
+     */
+    function isEnrichmentRequired(orderApiObj, aSelectableStatuses) {
+        return aSelectableStatuses.includes(orderApiObj.executionStatus);
+    }
+
+    /**
+     * Runs an async worker for every item, with at most 'iLimit' workers running at the same time.
+     * Items are started in list order. A rejected worker does not stop the remaining items.
+     * @param {Array} aItems - Items to process.
+     * @param {number} iLimit - Maximum number of concurrently running workers.
+     * @param {function(*): Promise} fnWorker - Worker called with one item.
+     * @returns {Promise} - Resolves when all items have been processed.
+     */
+    function runWithConcurrency(aItems, iLimit, fnWorker) {
+        let iNext = 0;
+        const runLane = () => {
+            if (iNext >= aItems.length) return Promise.resolve();
+            const item = aItems[iNext++];
+            return Promise.resolve()
+                .then(() => fnWorker(item))
+                .catch(() => { /* one failed item must not stop the lane */ })
+                .then(runLane);
+        };
+        const lanes = [];
+        for (let i = 0; i < Math.min(iLimit, aItems.length); i++) {
+            lanes.push(runLane());
+        }
+        return Promise.all(lanes);
+    }
+
+    // Maximum number of SFC detail calls running at the same time for one order
+    const SFC_DETAIL_CONCURRENCY = 2;
+
+    // Wait between two status checks while waiting for invalidated SFCs to report INVALID
+    const SFC_INVALID_POLL_INTERVAL_MS = 1000;
+
+    // Fields of the SFC detail API that may point to the SFC an SFC was split or copied from
+    const SFC_GENEALOGY_FIELDS = ["parentSfc", "originalSfc", "splitFromSfc"];
+
+    /**
+     * Returns the SFC a given SFC was split/copied from, according to its SFC detail.
+     * The reference may be a plain SFC number or an object with an 'sfc' property.
+     * @param {object} sfcDetail - SFC detail from API.
+     * @returns {string|null} - Referenced SFC, or null for an original SFC.
+     */
+    function getSfcGenealogyRef(sfcDetail) {
+        if (!sfcDetail) return null;
+        for (const field of SFC_GENEALOGY_FIELDS) {
+            const ref = sfcDetail[field];
+            const refSfc = ref && typeof ref === "object" ? ref.sfc : ref;
+            if (refSfc && refSfc !== sfcDetail.sfc) return refSfc;
+        }
+        return null;
+    }
+
+    /**
+     * Resolves the Parent SFC of an order from its SFC details instead of guessing from SFC names.
+     * - Every SFC is followed along its split/merge genealogy to the original SFC it stems from.
+     * - The original SFCs within the order are the candidates; exactly one candidate is an unambiguous parent.
+     * - Several candidates (or missing details) make the result ambiguous; the candidate named after the order,
+     *   otherwise the one with the largest quantity, is chosen.
+     * @param {string[]} aSfcs - SFCs of the order (order detail API).
+     * @param {object} mSfcDetails - SFC details by SFC number (missing entries for failed calls).
+     * @param {string} orderNo - Order number.
+     * @returns {object} - { parentSFC (or null), ambiguous, candidates }.
+     */
+    function resolveParentSfc(aSfcs, mSfcDetails, orderNo) {
+        const findRoot = (sfc) => {
+            const visited = new Set();
+            let current = sfc;
+            while (!visited.has(current)) {
+                visited.add(current);
+                const ref = getSfcGenealogyRef(mSfcDetails[current]);
+                // Stop at an original SFC or where the genealogy leaves this order
+                if (!ref || !aSfcs.includes(ref)) return current;
+                current = ref;
             }
+            return current; // genealogy loop: treat the SFC as its own root
+        };
 
-            // === Preparing API parameters ===
+        const candidates = Array.from(new Set(aSfcs.map(findRoot)));
+        if (!candidates.length) {
+            return { parentSFC: null, ambiguous: false, candidates: [] };
+        }
+        const allDetailsKnown = aSfcs.every(sfc => !!mSfcDetails[sfc]);
+        if (candidates.length === 1) {
+            return { parentSFC: candidates[0], ambiguous: !allDetailsKnown && aSfcs.length > 1, candidates: candidates };
+        }
 
-            // Convert dates to API-friendly format (YYYY-MM-DD)
-            const dateFromStr = dateFromObj ? dateFromObj.toISOString().substring(0, 10) : null;
-            const dateToStr = dateToObj ? dateToObj.toISOString().substring(0, 10) : null;
+        const quantityOf = sfc => (mSfcDetails[sfc] && typeof mSfcDetails[sfc].quantity === "number") ? mSfcDetails[sfc].quantity : -1;
+        const named = candidates.filter(sfc => orderNo && sfc.includes(orderNo));
+        const pool = named.length ? named : candidates;
+        const chosen = pool.reduce((best, sfc) => (quantityOf(sfc) > quantityOf(best) ? sfc : best), pool[0]);
+        return { parentSFC: chosen, ambiguous: true, candidates: candidates };
+    }
 
-            // Fetch plant from pod controller, which may depend on logged-in user/session
-            const oPlant = this.getPodController().getUserPlant();
+    /**
+     * Finds the operation an SFC is currently at, and its resource, from the 'steps' of the SFC detail.
+     * The current step is the first one with quantity in work, otherwise the first one with quantity in queue.
+     * @param {object} sfcDetail - SFC detail from API.
+     * @returns {object} - { operation, resource } ("" when not known).
+     */
+    function getSfcCurrentStep(sfcDetail) {
+        const steps = Array.isArray(sfcDetail && sfcDetail.steps) ? sfcDetail.steps : [];
+        const step = steps.find(s => s.quantityInWork > 0) || steps.find(s => s.quantityInQueue > 0);
+        if (!step) return { operation: "", resource: "" };
+        const operation = step.operation && typeof step.operation === "object" ? step.operation.operation : step.operation;
+        const resource = step.resource && typeof step.resource === "object" ? step.resource.resource : step.resource;
+        return { operation: operation || "", resource: resource || "" };
+    }
 
-            // Backend API endpoint for order list
-            const sListUrl = this.getPublicApiRestDataSourceUri() + "/order/v1/orders/list"; // Order List api
+    // Namespace of the dialog fragments shipped with this plugin (next to OrderView.view.xml)
+    const FRAGMENT_NAMESPACE = "bobm.custom.completeorderplugin.orderviewplugin.view.";
 
-            // Query parameters for API call
+    // Severity of a readiness check finding; values are sap.m.MessageStrip types
+    const ISSUE_TYPE = {
+        BLOCKER: "Error",
+        WARNING: "Warning"
+    };
 
-            const params = { size: 200, page: 0 };
+    /**
+     * Creates the completion plan of an order before its readiness is checked: no issues, nothing to invalidate, not ready.
+     * @param {object} orderRow - Table row of the order.
+     * @param {object} policy - SFC cleanup policy to apply.
+     * @returns {object} - { orderNo, executionStatus, parentSFC, orderRow, sfcs, issues, sfcsToInvalidate, policy, ready }.
+     */
+    function createCompletionPlan(orderRow, policy) {
+        return {
+            orderNo: orderRow.orderNo,
+            executionStatus: orderRow.executionStatus,
+            parentSFC: orderRow.parentSFC,
+            orderRow: orderRow,
+            sfcs: [],
+            issues: [],
+            sfcsToInvalidate: [],
+            policy: policy,
+            ready: false
+        };
+    }
 
-            // Always set plant
-            params.plant = oPlant;
-            
-            // Only add if value is present (not empty string/null)
-            if (material) params.material = material;
-            if (executionStatus) params.executionStatus = executionStatus;
-            if (orderNumber) params.orderNumber = orderNumber;
-            if (dateFromStr) params.dateFrom = dateFromStr;
-            if (dateToStr) params.dateTo = dateToStr;
-                        
+    // Steps of the completion flow per order, in the order they run
+    const COMPLETION_STEP = {
+        INVALIDATE: "INVALIDATE",
+        WAIT_INVALID: "WAIT_INVALID",
+        COMPLETE: "COMPLETE",
+        CLOSE: "CLOSE",
+        REFRESH: "REFRESH"
+    };
 
-            // === Actual backend fetch ===
+    // State of a step in the completion progress dialog
+    const STEP_STATE = {
+        PENDING: "PENDING",
+        RUNNING: "RUNNING",
+        SUCCEEDED: "SUCCEEDED",
+        FAILED: "FAILED"
+    };
 
-            fetch(sListUrl + "?" + new URLSearchParams(params).toString())
-            .then(response => {
-                if (!response.ok) throw new Error("Server/API error");
-                return response.json();
-            })
-            .then(async apiData => {
-                let ordersList = apiData.content || [];
+    /**
+     * Returns the status of an SFC entry (worklist or SFC detail API) in upper case, e.g. "NEW", "ACTIVE".
+     * Uses the status description, falling back to the status code.
+     * @param {object} sfcObj - SFC object from API.
+     * @returns {string} - Status or "".
+     */
+    function getSfcStatus(sfcObj) {
+        const status = sfcObj && sfcObj.status;
+        if (!status) return "";
+        if (typeof status === "string") return status.toUpperCase();
+        return String(status.description || status.code || "").toUpperCase();
+    }
 
-                // === Client-side post-filtering (for extra safety) ===
+    // SFC cleanup before completion when the plugin configuration does not say otherwise:
+    // only the Parent SFC, only if it is NEW, and completion goes ahead even if invalidation fails
+    const DEFAULT_SFC_CLEANUP_POLICY = {
+        invalidateStatuses: ["NEW"],
+        includeChildSfcs: false,
+        stopOnFailure: false
+    };
 
-                // Filter by date range if both are provided (scheduledStartDate MUST be within the range, inclusive)
-                if (dateFromObj && dateToObj) {
-                    ordersList = ordersList.filter(item => {
-                        if (!item.scheduledStartDate) return false;
-                        const itemStart = new Date(item.scheduledStartDate);
-                        // Only include if scheduledStartDate falls within [dateFromObj, dateToObj] (inclusive)
-                        return (itemStart >= dateFromObj && itemStart <= dateToObj);
-                    });
-                }
+    // Plugin behaviour when the POD Designer configuration does not say otherwise
+    const DEFAULT_PLUGIN_SETTINGS = {
+        // Number of orders requested per call to the order list API
+        pageSize: 200,
+        // Execution statuses of orders that can be selected for actions
+        selectableStatuses: ["ACTIVE", "NOT_IN_EXECUTION"],
+        // Longest wait for invalidated SFCs to report INVALID before calling Complete Order
+        invalidationTimeoutSeconds: 30,
+        // Allowed quantity difference in reconciliation mode, in percent of the build quantity
+        reconciliationTolerancePercent: 0,
+        showAdjustQty: true,
+        showDiscard: true,
+        // Reason codes offered for "Hold"; any code can be typed if none are configured
+        holdReasonCodes: []
+    };
 
+    /**
+     * Parses a number from the plugin configuration; the POD Designer may store it as a string.
+     * @param {number|string} vValue - Configured value.
+     * @param {number} nDefault - Returned if nothing valid is configured.
+     * @param {number} nMin - Smallest valid value.
+     * @returns {number}
+     */
+    function parseNumberSetting(vValue, nDefault, nMin) {
+        const n = typeof vValue === "number" ? vValue : parseFloat(vValue);
+        return (isFinite(n) && n >= nMin) ? n : nDefault;
+    }
 
-                // Filter by execution status, if specified (extra check, as backend should already filter)
-                if (executionStatus) {
-                    ordersList = ordersList.filter(item =>
-                        item.executionStatus && item.executionStatus === executionStatus
-                    );
-                }
+    /**
+     * Parses a list from the plugin configuration, keeping the case of its values (e.g. case-sensitive reason codes).
+     * Accepts an array or a comma separated string ("scrap_wait, REWORK"); values are trimmed, empty ones dropped.
+     * @param {string|string[]} vValue - Configured value.
+     * @param {string[]} aDefault - Returned if nothing is configured.
+     * @returns {string[]}
+     */
+    function parseConfigList(vValue, aDefault) {
+        const aValues = Array.isArray(vValue) ? vValue : (typeof vValue === "string" ? vValue.split(",") : []);
+        const aEntries = aValues.map(v => String(v).trim()).filter(Boolean);
+        return aEntries.length ? aEntries : aDefault.slice();
+    }
 
-                // Client-side filter for order number (in case backend search is partial or exact)
-                if (orderNumber) {
-                    ordersList = ordersList.filter(item =>
-                        item.order && item.order.includes(orderNumber)
-                    );
-                }
+    /**
+     * Parses a list of SFC statuses from the plugin configuration.
+     * Accepts an array or a comma separated string ("NEW, IN_QUEUE"); values are trimmed and upper-cased.
+     * @param {string|string[]} vValue - Configured value.
+     * @param {string[]} aDefault - Returned if nothing is configured.
+     * @returns {string[]}
+     */
+    function parseStatusList(vValue, aDefault) {
+        const aStatuses = parseConfigList(vValue, []).map(v => v.toUpperCase());
+        return aStatuses.length ? aStatuses : aDefault.slice();
+    }
 
-                // === Enrich orders with Parent SFC (asynchronously for each row) ===
-
-                // For each order, if ACTIVE, call detail API to get SFCs and pick Parent SFC
-                const enhancedOrders = await Promise.all(ordersList.map(async (orderObj) => {
-                    let parentSFC = "-";
-                    let dmReleasedQty = "-";  // Default
-                
-                    if (orderObj.executionStatus === "ACTIVE" || orderObj.executionStatus === "NOT_IN_EXECUTION") {
-                        const orderDetailUrl = `${this.getPublicApiRestDataSourceUri()}/order/v1/orders?plant=${encodeURIComponent(oPlant)}&order=${encodeURIComponent(orderObj.order)}`;
-                        try {
-                            const orderDetailResponse = await fetch(orderDetailUrl);
-                            if (orderDetailResponse.ok) {
-                                const orderDetailData = await orderDetailResponse.json();
-                                let sfcs = orderDetailData.sfcs || [];
-                                // Find first SFC containing the order string (case-sensitive)
-                                let foundSFC = undefined;
-                                if (orderObj.order && Array.isArray(sfcs)) {
-                                    foundSFC = sfcs.find(sfcName => sfcName.includes(orderObj.order));
-                                }
-                                if (foundSFC) {
-                                    parentSFC = foundSFC;
-                
-                                    // Fetch DM Released Qty from SFC Detail API
-                                    const sfcDetailUrl = `${this.getPublicApiRestDataSourceUri()}/sfc/v1/sfcdetail?plant=${encodeURIComponent(oPlant)}&sfc=${encodeURIComponent(foundSFC)}`; //SFC detail api
-                                    try {
-                                        const sfcDetailResponse = await fetch(sfcDetailUrl);
-                                        if (sfcDetailResponse.ok) {
-                                            const sfcDetailData = await sfcDetailResponse.json();
-                                            // The DM released quantity is in "quantity"
-                                            if (
-                                                sfcDetailData &&
-                                                typeof sfcDetailData.quantity !== "undefined" &&
-                                                sfcDetailData.quantity !== null
-                                            ) {
-                                                dmReleasedQty = sfcDetailData.quantity.toString();
-                                            } else {
-                                                dmReleasedQty = "-";
-                                            }
-                                        } else {
-                                            dmReleasedQty = "-";
-                                        }
-                                    } catch (sfcErr) {
-                                        dmReleasedQty = "-";
-                                    }
-                                } else {
-                                    parentSFC = "-";
-                                    dmReleasedQty = "-";
-                                }
-                            }
-                        } catch (error) {
-                            parentSFC = "-";
-                            dmReleasedQty = "-";
-                        }
-                    }
-                    const mappedOrder = mapOrderApiToUiRow(orderObj);
-                    mappedOrder.parentSFC = parentSFC;
-                    const uom = getOrderUOM(orderObj);
-                    // Only add unit if value is a number/string (not "-")
-                    mappedOrder.dmReleasedQty = (dmReleasedQty !== "-") ? `${dmReleasedQty} ${uom}` : "-";
-                    return mappedOrder;
-                }));
+    // Order actions that can be restricted to roles, with the plugin configuration property listing the allowed roles
+    const ORDER_ACTION = {
+        COMPLETE: "COMPLETE",
+        ADJUST_QTY: "ADJUST_QTY",
+        DISCARD: "DISCARD",
+        CLOSE: "CLOSE",
+        HOLD: "HOLD",
+        RELEASE: "RELEASE"
+    };
+    const ACTION_ROLES_PROPERTY = {
+        COMPLETE: "completeOrderRoles",
+        ADJUST_QTY: "adjustQtyRoles",
+        DISCARD: "discardOrderRoles",
+        CLOSE: "closeOrderRoles",
+        HOLD: "holdOrderRoles",
+        RELEASE: "releaseOrderRoles"
+    };
+    const ACTION_TEXT_KEY = {
+        COMPLETE: "action.completeOrder",
+        ADJUST_QTY: "action.adjustQty",
+        DISCARD: "action.discardOrder",
+        CLOSE: "action.closeOrder",
+        HOLD: "action.holdOrder",
+        RELEASE: "action.releaseOrder"
+    };
 
+    /**
+     * Reads the role names from what the POD controller returns for the user.
+     * Accepts role names or role objects ({ role } or { name }); names are trimmed and upper-cased like the configured roles.
+     * @param {Array<string|object>} aRoles - Roles of the user.
+     * @returns {string[]}
+     */
+    function normalizeUserRoles(aRoles) {
+        return aRoles
+            .map(r => (r && typeof r === "object") ? (r.role || r.name) : r)
+            .map(v => String(v || "").trim().toUpperCase())
+            .filter(Boolean);
+    }
 
-                // Bind final, enriched list to table model for display
-                this.getView().getModel("orderModel").setProperty("/orders", enhancedOrders);
-                this.getView().getModel("orderModel").setProperty("/selectedOrderNo", "");  // RESET selection here
+    /**
+     * Tells whether a DM API call was refused for missing authorization (HTTP 403).
+     * A 403 asking for a new CSRF token is handled by the REST client and does not count.
+     * @param {Error} oError - DmRestError or any other error.
+     * @returns {boolean}
+     */
+    function isForbiddenError(oError) {
+        return !!oError && oError.status === 403 && !oError.csrfRequired;
+    }
 
-                // Update item count in table heading
-                if (oItemsHeading && oItemsHeading.setText) {
-                    oItemsHeading.setText(`Items (${enhancedOrders.length.toString().padStart(2, "0")})`);
-                }
-            })
-            .catch(err => {
-                // Any error: showing user-friendly message, clear table, reset count
-                MessageToast.show("Failed to fetch orders: " + err.message);
-                this.getView().getModel("orderModel").setProperty("/orders", []);
-                if (oItemsHeading && oItemsHeading.setText) {
-                    oItemsHeading.setText("Items (00)");
-                }
-            });
-        },
+    /**
+     * Describes an SFC cleanup policy in one line for the completion preview.
+     * @param {object} policy - { invalidateStatuses, includeChildSfcs, stopOnFailure }.
+     * @param {module:sap/base/i18n/ResourceBundle} oBundle - Resource bundle for the description.
+     * @returns {string}
+     */
+    function describeSfcCleanupPolicy(policy, oBundle) {
+        return oBundle.getText("complete.policy", [
+            policy.invalidateStatuses.join(", "),
+            oBundle.getText(policy.includeChildSfcs ? "complete.policy.withChildSfcs" : "complete.policy.parentOnly"),
+            oBundle.getText(policy.stopOnFailure ? "complete.policy.stopOnFailure" : "complete.policy.continueOnFailure")
+        ]);
+    }
 
+    // File formats offered by the Export menu
+    const EXPORT_FORMAT = {
+        CSV: "csv",
+        XLSX: "xlsx"
+    };
 
-        
+    // Columns of the orders export; quantities are numbers with a separate UOM column, dates are date/time cells.
+    // 'labelKey' is the i18n key of the column header.
+    const EXPORT_COLUMNS = [
+        { labelKey: "column.orderNo", property: "orderNo", type: "string" },
+        { labelKey: "column.parentSfc", property: "parentSFC", type: "string" },
+        { labelKey: "filter.material", property: "material", type: "string" },
+        { labelKey: "export.materialVersion", property: "materialVersion", type: "string" },
+        { labelKey: "export.materialDesc", property: "materialDesc", type: "string" },
+        { labelKey: "column.executionStatus", property: "executionStatus", type: "string" },
+        { labelKey: "column.buildQty", property: "buildQuantity", type: "number" },
+        { labelKey: "column.doneQty", property: "doneQuantity", type: "number" },
+        { labelKey: "column.dmReleasedQty", property: "dmReleasedQuantity", type: "number" },
+        { labelKey: "column.availableQty", property: "availableQuantity", type: "number" },
+        { labelKey: "export.uom", property: "uom", type: "string" },
+        { labelKey: "export.scheduledStart", property: "scheduledStart", type: "datetime" },
+        { labelKey: "export.scheduledEnd", property: "scheduledEnd", type: "datetime" },
+        { labelKey: "column.priority", property: "priority", type: "string" }
+    ];
 
     /**
-     * ashutosh.d.kashyap
-     * Handles the "Complete Order" button click action.
-     * - Retrieves the currently selected order from the model, and its Parent SFC if available.
-     * - If Parent SFC is present and its status is "NEW", invalidates it using the SFC Invalidate API, and displays a success/failure toast for SFC invalidation.
-     * - Waits for 2 seconds after invalidation, then proceeds.
-     * - Regardless of SFC presence or status, always calls the Complete Order API for the selected order.
-     * - Displays the exact response message returned by the Complete Order API (success or error) responses.
-     * - Refreshes the table after completion or error.
-     * - If there is an exception at any point, displays a general error toast.
+     * Maps a table row to a flat export record with typed values (numbers, Dates, strings; null when unknown).
+     * @param {object} orderRow - Row from 'orderModel>/orders'.
+     * @returns {object} - Record with one property per EXPORT_COLUMNS entry.
      */
-        onCompleteOrder: async function () {
-            const orderModel = this.getView().getModel("orderModel");
-            const selectedOrderNo = orderModel.getProperty("/selectedOrderNo");
-            const plant = this.getPodController().getUserPlant();
-            const baseApiUrl = this.getPublicApiRestDataSourceUri();
-        
-            if (!selectedOrderNo) {
-                MessageToast.show("Please select an order first.");
-                return;
-            }
-        
-            // Fetch Parent SFC value for selected order from model
-            const orders = orderModel.getProperty("/orders") || [];
-            const selectedOrderObj = orders.find(o => o.orderNo === selectedOrderNo);
-            const parentSFC = selectedOrderObj && selectedOrderObj.parentSFC && selectedOrderObj.parentSFC !== "-" ? selectedOrderObj.parentSFC : null;
-        
-            let isParentSfcDeleted = false;
-        
-            try {
-                if (parentSFC) {
-                    // 1. Get SFC detail to check Parent SFC status
-                    const sfcDetailUrl = `${baseApiUrl}/sfc/v1/sfcdetail?plant=${encodeURIComponent(plant)}&sfc=${encodeURIComponent(parentSFC)}`;
-                    const sfcDetailResponse = await fetch(sfcDetailUrl, { credentials: "include" });
-        
-                    if (sfcDetailResponse.ok) {
-                        const sfcDetail = await sfcDetailResponse.json();
-                        const sfcStatusDesc = sfcDetail.status && sfcDetail.status.description;
-        
-                        if (String(sfcStatusDesc).toUpperCase() === "NEW") {
-                            // Invalidate Parent SFC
-                            const invalidateUrl = `${baseApiUrl}/sfc/v1/sfcs/invalidate?plant=${encodeURIComponent(plant)}&sfc=${encodeURIComponent(parentSFC)}`;
-                            await new Promise((resolve) => {
-                                this.ajaxPatchRequest(
-                                    invalidateUrl,
-                                    {},
-                                    (response) => {
-                                        MessageToast.show("Parent SFC deleted.");
-                                        isParentSfcDeleted = true;
-                                        resolve();
-                                    },
-                                    (error) => {
-                                        // Still proceed to Complete Order even if invalidate fails
-                                        MessageToast.show("Failed to invalidate Parent SFC: " + (error && error.error && error.error.message ? error.error.message : ""));
-                                        resolve();
-                                    }
-                                );
-                            });
-                            // Wait for 2 seconds before running Complete Order
-                            await new Promise(res => setTimeout(res, 2000));
-                        }
-                    }
-                    // If SFC detail call failed or Parent SFC not in NEW, just move to Complete Order below
-                }
-        
-                // 2. Run Complete Order API regardless of anything above
-                const completeOrderUrl = `${baseApiUrl}/order/v1/orders/complete?order=${encodeURIComponent(selectedOrderNo)}&plant=${encodeURIComponent(plant)}`;
-                await new Promise((resolve) => {
-                    this.ajaxPostRequest(
-                        completeOrderUrl,
-                        {},
-                        (response) => {
-                            // Show the response message from the API (success)
-                            if (response && response.message) {
-                                MessageToast.show(response.message);
-                            } else {
-                                MessageToast.show("Order completion request processed.");
-                            }
-                            this.onFilterPress(); // Refresh table
-                            resolve();
-                        },
-                        (error) => {
-                            // Always show API response message
-                            let apiMessage = null;
-                            if (error) {
-                                if (typeof error === "string") {
-                                    try {
-                                        const errObj = JSON.parse(error);
-                                        apiMessage = errObj.message || errObj.error?.message;
-                                    } catch {
-                                        apiMessage = error;
-                                    }
-                                } else if (typeof error === "object") {
-                                    apiMessage = error.message || error.error?.message;
-                                }
-                            }
-                            MessageToast.show(apiMessage || "Failed to complete order.");
-                            this.onFilterPress();
-                            resolve();
-                        }
-                    );
-                });
-        
-            } catch (error) {
-                MessageToast.show("Unexpected error: " + error.message);
+    function mapOrderRowToExportRecord(orderRow) {
+        const orEmpty = v => (v === "-" || v === undefined || v === null) ? "" : v;
+        return {
+            orderNo: orEmpty(orderRow.orderNo),
+            parentSFC: orEmpty(orderRow.parentSFC),
+            material: orderRow.material,
+            materialVersion: orderRow.materialVersion,
+            materialDesc: orderRow.materialDesc,
+            executionStatus: orEmpty(orderRow.executionStatus),
+            buildQuantity: orderRow.buildQuantity,
+            doneQuantity: orderRow.doneQuantity,
+            dmReleasedQuantity: orderRow.dmReleasedQuantity,
+            availableQuantity: orderRow.availableQuantity,
+            uom: orderRow.uom,
+            scheduledStart: orderRow.scheduledStartDate,
+            scheduledEnd: orderRow.scheduledCompletionDate,
+            priority: orEmpty(orderRow.priority)
+        };
+    }
+
+    /**
+     * Builds CSV content from export records.
+     * Numbers are written unformatted (decimal point), dates as "YYYY-MM-DD HH:mm:ss" local time,
+     * so spreadsheet programs read them as numeric and date cells.
+     * @param {object[]} aRecords - Records from 'mapOrderRowToExportRecord'.
+     * @param {string[]} aHeaders - Column headers, one per EXPORT_COLUMNS entry.
+     * @returns {string}
+     */
+    function buildCsv(aRecords, aHeaders) {
+        const pad = n => String(n).padStart(2, "0");
+        const toCell = (value, type) => {
+            if (value === null || value === undefined || value === "") return "";
+            if (type === "datetime") {
+                return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} `
+                    + `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
             }
-        },
-                                
+            if (type === "number") return String(value);
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+        };
+        const lines = [aHeaders.map(sHeader => toCell(sHeader, "string")).join(",")];
+        aRecords.forEach(record => {
+            lines.push(EXPORT_COLUMNS.map(col => toCell(record[col.property], col.type)).join(","));
+        });
+        return lines.join("\r\n");
+    }
+
+    /**
+     * Formats a timestamp for export file names, e.g. "20250731_180030".
+     * @param {Date} date - Timestamp.
+     * @returns {string}
+     */
+    function formatFileTimestamp(date) {
+        const pad = n => String(n).padStart(2, "0");
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_`
+            + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    }
+
+    // Personalizable columns of the orders table, in view order after the selection column.
+    // 'key' is the column id in the view, 'labelKey' the i18n key of its header,
+    // 'path' the row property used for sorting/grouping ("" if the column cannot be sorted).
+    const TABLE_COLUMNS = [
+        { key: "colOrderNo", labelKey: "column.orderNo", path: "orderNo", groupable: false },
+        { key: "colParentSfc", labelKey: "column.parentSfc", path: "parentSFC", groupable: false },
+        { key: "colSfcs", labelKey: "column.sfcs", path: "", sortable: false, groupable: false },
+        { key: "colMaterial", labelKey: "column.material", path: "material", groupable: true },
+        { key: "colExecutionStatus", labelKey: "column.executionStatus", path: "executionStatus", groupable: true },
+        { key: "colBuildQty", labelKey: "column.buildQty", path: "buildQuantity", groupable: false },
+        { key: "colDoneQty", labelKey: "column.doneQty", path: "doneQuantity", groupable: false },
+        { key: "colDmReleasedQty", labelKey: "column.dmReleasedQty", path: "dmReleasedQuantity", groupable: false },
+        { key: "colAvailableQty", labelKey: "column.availableQty", path: "availableQuantity", groupable: false },
+        { key: "colScheduled", labelKey: "column.scheduled", path: "scheduledStartDate", groupable: false },
+        { key: "colPriority", labelKey: "column.priority", path: "priority", groupable: false }
+    ];
 
+    // Id of the fixed selection (checkbox) column, always shown first
+    const SELECT_COLUMN_ID = "colSelect";
 
+    // Browser storage for per-user settings of the plugin; keys get the user id appended
+    const USER_SETTINGS_STORAGE_PREFIX = "bobm.completeorderplugin";
+    const TABLE_PERSONALIZATION_KEY = "ordersTable";
+    const FILTER_VARIANTS_KEY = "filterVariants";
+
+    // Built-in filter variant with empty filters; cannot be deleted or overwritten
+    const STANDARD_VARIANT_KEY = "STANDARD";
 
     /**
-     * ashutosh.d.kashyap
-     * Handler for when a radio button is selected in the orders table.
-     * - Reads the selected row context.
-     * - Saves the selected order number and execution status into the view model for later use.
-     */          
-        onRadioSelect: function(oEvent) {
-            const oContext = oEvent.getSource().getBindingContext("orderModel");
-            const orderNo = oContext.getProperty("orderNo");
-            const executionStatus = oContext.getProperty("executionStatus");
-        
-            // Save the selected orderNo and executionStatus into your model
-            const orderModel = this.getView().getModel("orderModel");
-            orderModel.setProperty("/selectedOrderNo", orderNo);
-            orderModel.setProperty("/selectedExecutionStatus", executionStatus);
-        },
+     * Creates empty filter bar values, as used by the Standard variant.
+     * 'materialKey' ({ material, version }) and 'orderKey' are set when the value was picked from the value help.
+     * @returns {object} - { material, materialKey, executionStatus, orderNumber, orderKey, dateRange, dateRangeMode, dateFrom, dateTo }.
+     */
+    function createEmptyFilterValues() {
+        return {
+            material: "", materialKey: null, executionStatus: "", orderNumber: "", orderKey: "",
+            dateRange: "", dateRangeMode: DATE_RANGE_MODE.START_WITHIN, dateFrom: null, dateTo: null
+        };
+    }
+
+    /**
+     * Tells whether filter values contain any search criterion, i.e. whether a search can run with them.
+     * @param {object} oFilters - Filter values (see 'createEmptyFilterValues').
+     * @returns {boolean}
+     */
+    function hasFilterCriteria(oFilters) {
+        return !!(oFilters.material || oFilters.executionStatus || oFilters.orderNumber
+            || oFilters.dateRange || (oFilters.dateFrom && oFilters.dateTo));
+    }
+
+    // Auto-refresh interval in seconds (as Select key); "0" means off
+    const AUTO_REFRESH_OFF = "0";
+    const AUTO_REFRESH_KEY = "autoRefresh";
+
+    // Row properties compared by the auto-refresh to detect changed orders
+    const REFRESH_COMPARED_FIELDS = ["executionStatus", "buildQuantity", "doneQuantity", "availableQuantity"];
+
+    /**
+     * Reconciliation check of an order row: lists where build, delivered (done), order released and DM released
+     * quantities disagree by more than the tolerance.
+     * - Delivered or released above build.
+     * - Delivered above released (Available is build minus released, so this makes it differ from build minus delivered).
+     * - DM Released Qty (Parent SFC) different from the order's released quantity.
+     * Quantities that are not known yet (e.g. DM Released Qty still loading) are not compared.
+     * @param {object} row - Table row of the order.
+     * @param {number} nTolerancePercent - Allowed difference in percent of the build quantity.
+     * @returns {object[]} - { key, args } per disagreement: text key and its quantity arguments.
+     */
+    function getQuantityMismatches(row, nTolerancePercent) {
+        const build = row.buildQuantity;
+        const done = row.doneQuantity;
+        const released = row.releasedQuantity;
+        const dmReleased = row.dmReleasedQuantity;
+        const tolerance = typeof build === "number" ? Math.abs(build) * nTolerancePercent / 100 : 0;
+        const exceeds = (a, b) => typeof a === "number" && typeof b === "number" && a - b > tolerance;
+
+        const mismatches = [];
+        if (exceeds(done, build)) mismatches.push({ key: "reconcile.deliveredAboveBuild", args: [done, build] });
+        if (exceeds(released, build)) mismatches.push({ key: "reconcile.releasedAboveBuild", args: [released, build] });
+        if (exceeds(done, released)) mismatches.push({ key: "reconcile.deliveredAboveReleased", args: [done, released] });
+        if (exceeds(dmReleased, released) || exceeds(released, dmReleased)) {
+            mismatches.push({ key: "reconcile.dmReleasedDiffers", args: [dmReleased, released] });
+        }
+        return mismatches;
+    }
+
+    /**
+     * Adds a quantity to a total; quantities that are not numbers are left out.
+     * @param {number} total - Total so far.
+     * @param {number|null} quantity - Quantity to add.
+     * @returns {number}
+     */
+    function addQuantity(total, quantity) {
+        return typeof quantity === "number" ? total + quantity : total;
+    }
+
+    // Row properties filled by the Parent SFC / DM Released Qty lookup, kept from the previous rows on a refresh
+    const ENRICHMENT_FIELDS = ["parentSFC", "parentSfcAmbiguous", "parentSfcCandidates", "dmReleasedQuantity", "enrichmentPending"];
+
+    /**
+     * Merges refreshed rows with the rows shown before the refresh.
+     * - Selection is kept from the previous row of the same order.
+     * - Rows that need the Parent SFC / DM Released Qty lookup ('enrichmentPending' set) keep the previous values,
+     *   so nothing flickers while the lookups run again.
+     * - 'changed' is set on rows whose execution status or quantities differ from the previous row;
+     *   orders that were not shown before are not marked.
+     * @param {object[]} aNewRows - Rows mapped from the refreshed API data.
+     * @param {object[]} aOldRows - Rows shown before the refresh.
+     * @returns {object[]} - The new rows, updated in place.
+     */
+    function mergeRefreshedRows(aNewRows, aOldRows) {
+        const mOldRows = new Map(aOldRows.map(row => [row.orderNo, row]));
+        aNewRows.forEach(row => {
+            const oldRow = mOldRows.get(row.orderNo);
+            if (!oldRow) return;
+            row.changed = REFRESH_COMPARED_FIELDS.some(sField => oldRow[sField] !== row[sField]);
+            row.selected = oldRow.selected && row.enabled;
+            if (row.enrichmentPending) {
+                ENRICHMENT_FIELDS.forEach(sField => {
+                    row[sField] = oldRow[sField];
+                });
+            }
+        });
+        return aNewRows;
+    }
+
+    // Value helps of the filter bar; the value is the property of the 'valueHelp' model holding the found entries
+    const VALUE_HELP = {
+        MATERIAL: "materials",
+        ORDER: "orders"
+    };
+
+    // Maximum number of entries requested for suggestions and the value help dialogs
+    const VALUE_HELP_SIZE = 50;
+
+    // Wait after the last keystroke before the value help entries are requested
+    const VALUE_HELP_DEBOUNCE_MS = 300;
+
+    /**
+     * Returns the entries of a DM list API response, which is either an array or a page object with 'content'.
+     * @param {*} vData - Parsed response body.
+     * @returns {object[]}
+     */
+    function getListContent(vData) {
+        if (Array.isArray(vData)) return vData;
+        return (vData && Array.isArray(vData.content)) ? vData.content : [];
+    }
+
+    /**
+     * Turns a search term into a "starts with" pattern for the DM list APIs (e.g. "MAT-1" gives "MAT-1*").
+     * @param {string} sTerm - Search term typed by the user.
+     * @returns {string} - Pattern, or "" for an empty term (no restriction).
+     */
+    function toStartsWithPattern(sTerm) {
+        const sTrimmed = (sTerm || "").trim();
+        return sTrimmed ? sTrimmed + "*" : "";
+    }
+
+    /**
+     * Tells whether any of the given values contains the search term, ignoring case.
+     * @param {string[]} aValues - Values of a value help entry.
+     * @param {string} sTerm - Search term.
+     * @returns {boolean}
+     */
+    function matchesValueHelpTerm(aValues, sTerm) {
+        const sNeedle = (sTerm || "").trim().toLowerCase();
+        return !sNeedle || aValues.some(v => !!v && String(v).toLowerCase().includes(sNeedle));
+    }
+
+    /**
+     * Maps a material from the material API to a value help entry.
+     * @param {object} oMaterial - Raw material object.
+     * @returns {object} - { material, version, description }.
+     */
+    function mapMaterialToValueHelpEntry(oMaterial) {
+        return {
+            material: oMaterial.material || "",
+            version: oMaterial.version || "",
+            description: oMaterial.description || ""
+        };
+    }
+
+    /**
+     * Maps an order from the order list API to a value help entry.
+     * @param {object} oOrder - Raw order object.
+     * @returns {object} - { order, material, materialVersion, executionStatus }.
+     */
+    function mapOrderToValueHelpEntry(oOrder) {
+        return {
+            order: oOrder.order || "",
+            material: oOrder.material?.material || "",
+            materialVersion: oOrder.material?.version || "",
+            executionStatus: oOrder.executionStatus || ""
+        };
+    }
+
+    /**
+     * Reads a key (e.g. "sfc" or "shopOrder") from a POD selection.
+     * Selections are plain objects ({ sfc: "SFC1" } or { sfc: { sfc: "SFC1" } }) or POD model objects with getters (getSfc().getSfc()).
+     * @param {object} oSelection - One selection of a POD event or of the POD selection model.
+     * @param {string} sName - Key name.
+     * @returns {string} - Value, or "" if not present.
+     */
+    function readPodSelectionKey(oSelection, sName) {
+        const sGetter = "get" + sName.charAt(0).toUpperCase() + sName.slice(1);
+        const read = (o) => (typeof o[sGetter] === "function" ? o[sGetter]() : o[sName]);
+        let value = oSelection ? read(oSelection) : null;
+        if (value && typeof value === "object") value = read(value);
+        return typeof value === "string" ? value : "";
+    }
+
+    /**
+     * Returns order and SFC of the first selection of a POD event, falling back to the POD selection model.
+     * @param {object} oData - Event data; may contain 'selections'.
+     * @param {object} [oPodSelectionModel] - POD selection model.
+     * @returns {object|null} - { order, sfc } ("" when not known), or null without a selection.
+     */
+    function getPodSelectionKeys(oData, oPodSelectionModel) {
+        let aSelections = (oData && Array.isArray(oData.selections)) ? oData.selections : [];
+        if (!aSelections.length && oPodSelectionModel && oPodSelectionModel.getSelections) {
+            aSelections = oPodSelectionModel.getSelections() || [];
+        }
+        const oSelection = aSelections[0];
+        if (!oSelection) return null;
+        const order = readPodSelectionKey(oSelection, "shopOrder") || readPodSelectionKey(oSelection, "order");
+        const sfc = readPodSelectionKey(oSelection, "sfc");
+        return (order || sfc) ? { order: order, sfc: sfc } : null;
+    }
+
+    /**
+     * Returns the order of an SFC from its SFC detail; the order may be a plain order number or an object with an 'order' property.
+     * @param {object} sfcDetail - SFC detail from API.
+     * @returns {string} - Order number or "".
+     */
+    function getSfcOrder(sfcDetail) {
+        const ref = sfcDetail && sfcDetail.order;
+        const order = ref && typeof ref === "object" ? ref.order : ref;
+        return typeof order === "string" ? order : "";
+    }
+
+    // Outcome of an action (e.g. Complete Order) for one order, as listed in the results dialog
+    const ACTION_RESULT = {
+        SUCCESS: "SUCCESS",
+        SKIPPED: "SKIPPED",
+        FAILED: "FAILED"
+    };
+    
+
+    // === Controller definition for Order View (main class) ===
+
+    return PluginViewController.extend("bobm.custom.completeorderplugin.orderviewplugin.controller.OrderView", {
+        metadata: { properties: {} },
+
+    /**
+     * ashutosh.d.kashyap
+     * Controller initialization method.
+     * Calls base class initializer (important for SAP plugin lifecycle).
+     * Sets up the default JSON model 'orderModel' for the view.
+     * Initializes the orders list and tracks currently selected order and its execution status.
+     */
+        onInit: function () {
+            // Call super (base class) init if present (important for plugin lifecycle)
+            if (PluginViewController.prototype.onInit) {
+                PluginViewController.prototype.onInit.apply(this, arguments);
+            }
+            // Texts of the view, fragments and messages in the user's language
+            this.getView().setModel(new ResourceModel({ bundleName: I18N_BUNDLE_NAME }), "i18n");
+
+            // Initialize selectedExecutionStatus for tracking selected order status
+            this.getView().setModel(new JSONModel({
+                orders: [],
+                selectedOrderNo: "",
+                selectedExecutionStatus: "",
+                selectedCount: 0,
+                allSelected: false,
+                actionInProgress: false,
+                paging: createEmptyPaging(),
+                autoRefresh: { interval: AUTO_REFRESH_OFF, lastRefresh: "" },
+                summary: { statusCounts: [], uomTotals: [], mismatchCount: 0 },
+                reconciliation: { active: false, tolerancePercent: 0 },
+                actionProgress: { step: "", elapsed: 0 }
+            }), "orderModel");
+
+            // Filter bar state: relative date range, range mode and the user's filter variants for the current plant
+            this.getView().setModel(new JSONModel({
+                dateRange: "",
+                dateRangeMode: DATE_RANGE_MODE.START_WITHIN,
+                timeZone: "",
+                variants: [],
+                selectedVariantKey: STANDARD_VARIANT_KEY,
+                materialKey: null,
+                orderKey: ""
+            }), "filterBar");
+
+            // Plugin settings from the POD Designer configuration, read again once the plugin is rendered
+            this.getView().setModel(new JSONModel(this._getPluginSettings()), "settings");
+
+            // Actions the user may run; actions restricted to roles stay hidden until the user's roles are known
+            this._aUserRoles = null;
+            this.getView().setModel(new JSONModel(Object.assign(this._getActionPermissions(), { rolesUnknown: false })), "permissions");
+
+            // Entries found for the material and order suggestions / value help dialogs
+            this.getView().setModel(new JSONModel({
+                materials: [],
+                orders: [],
+                busy: false,
+                error: ""
+            }), "valueHelp");
+
+            // Pending debounce timers and latest request number per value help (stale responses are dropped)
+            this._mValueHelpTimers = {};
+            this._mValueHelpRequests = {};
+
+            // Dialog fragments loaded on first use: { fragmentName: Promise<sap.m.Dialog> }
+            this._mDialogs = {};
+
+            // Per-plant cache of Parent SFC / DM Released Qty lookups: { plant: { orderNo: { value, expires } } }
+            this._oEnrichmentCache = {};
+
+            this._oUserStorage = new Storage(Storage.Type.local, USER_SETTINGS_STORAGE_PREFIX);
+            this._registerTablePersonalization();
+
+            // Orders or SFCs selected in other plugins of the POD pre-fill and run the search
+            this.subscribe(POD_EVENT.SELECTION_CHANGE, this.onPodSelectionChangeEvent, this);
+            this.subscribe(POD_EVENT.WORKLIST_SELECT, this.onPodSelectionChangeEvent, this);
+        },
+
+    /**
+     * Plugin lifecycle hook, called once the POD (and so the user and plant) is known.
+     * Restores the user's saved table personalization and runs the default filter variant.
+     */
+        onBeforeRenderingPlugin: function () {
+            if (PluginViewController.prototype.onBeforeRenderingPlugin) {
+                PluginViewController.prototype.onBeforeRenderingPlugin.apply(this, arguments);
+            }
+            this.getView().getModel("filterBar").setProperty("/timeZone", this._getPlantTimeZone());
+            this.getView().getModel("settings").setData(this._getPluginSettings());
+            this.getView().getModel("orderModel").setProperty("/reconciliation/tolerancePercent",
+                this._getPluginSettings().reconciliationTolerancePercent);
+            this._initPermissions();
+            this._restoreTablePersonalization();
+            this._initAutoRefresh();
+            this._initFilterVariants();
+        },
+
+    /**
+     * Controller cleanup: stops listening to personalization changes and POD events.
+     */
+        onExit: function () {
+            this.unsubscribe(POD_EVENT.SELECTION_CHANGE, this.onPodSelectionChangeEvent, this);
+            this.unsubscribe(POD_EVENT.WORKLIST_SELECT, this.onPodSelectionChangeEvent, this);
+            if (this._fnTableStateChange) {
+                Engine.getInstance().detachStateChange(this._fnTableStateChange);
+            }
+            Object.values(this._mValueHelpTimers).forEach(iTimer => clearTimeout(iTimer));
+            clearTimeout(this._iAutoRefreshTimer);
+            clearInterval(this._iActionProgressTimer);
+            if (PluginViewController.prototype.onExit) {
+                PluginViewController.prototype.onExit.apply(this, arguments);
+            }
+        },
+
+    /**
+     * ashutosh.d.kashyap
+     * Handler for the "Filter" button press in the orders table.
+     * - Reads all input filter fields (material, execution status, order number, date range).
+     * - Material and order number picked from the value help are searched exactly (see '_getValueHelpKeys').
+     * - Performs input validation (ensures at least one filter, date range logic, etc.).
+     * - Builds API query parameters and stores them as the current search, so further pages can be requested with the same criteria.
+     * - Clears the table and loads the first page of results (see '_loadOrdersPage').
+     * - Handles client-side validation errors by showing reqd message.
+     */
+        onFilterPress: function () {
+            // Gather input controls by their IDs
+            const oMaterial = this.byId("materialInput");
+            const oExecutionStatus = this.byId("executionStatusSelect");
+            const oOrderNo = this.byId("orderNoInput");
+            const oDateFrom = this.byId("dateFromInput");
+            const oDateTo = this.byId("dateToInput");
+        
+            // Extract/normalize values
+            const material = oMaterial ? oMaterial.getValue().trim() : "";
+            const executionStatus = oExecutionStatus ? oExecutionStatus.getSelectedKey() : "";
+            const orderNumber = oOrderNo ? oOrderNo.getValue().trim() : "";
+            const { materialKey, orderKey } = this._getValueHelpKeys(material, orderNumber);
+            // Days are meant in the plant's time zone.
+            // A relative range (e.g. "Last 7 Days") is resolved now, so saved variants always search current dates
+            const filterBarModel = this.getView().getModel("filterBar");
+            const sTimeZone = this._getPlantTimeZone();
+            const oRelativeRange = resolveRelativeDateRange(filterBarModel.getProperty("/dateRange"), getZonedToday(sTimeZone));
+            const dateFromObj = oRelativeRange ? oRelativeRange.dateFromObj : parseDatePickerValue(oDateFrom);
+            const dateToObj = oRelativeRange ? oRelativeRange.dateToObj : parseDatePickerValue(oDateTo);
+
+            const hasMaterial = !!material;
+            const hasExecStatus = !!executionStatus;
+            const hasOrder = !!orderNumber;
+            const hasDateFrom = !!dateFromObj;
+            const hasDateTo = !!dateToObj;
+
+            // === Validation section ===
+            if ((hasDateFrom && !hasDateTo) || (!hasDateFrom && hasDateTo)) {
+                MessageToast.show(this._getText("search.bothDatesRequired"));
+                return;
+            }
+            if (!hasMaterial && !hasExecStatus && !hasOrder && !(hasDateFrom && hasDateTo)) {
+                MessageToast.show(this._getText("search.parameterRequired"));
+                return;
+            }
+            // From date cannot be after To date
+            if (dateFromObj && dateToObj && dateFromObj > dateToObj) {
+                MessageToast.show(this._getText("search.dateFromAfterDateTo"));
+                return;
+            }
+
+            // === Preparing API parameters ===
+
+            // Bounds on scheduled start/completion for the selected range mode, applied by the client-side filter
+            const dateBounds = (dateFromObj && dateToObj)
+                ? getDateRangeBounds(filterBarModel.getProperty("/dateRangeMode"), dateFromObj, dateToObj, sTimeZone)
+                : null;
+
+            // Fetch plant from pod controller, which may depend on logged-in user/session
+            const oPlant = this.getPodController().getUserPlant();
+
+            // Query parameters for API call (page and size are added per request in '_loadOrdersPage')
+            const params = {};
+
+            // Always set plant
+            params.plant = oPlant;
+            
+            // Only add if value is present (not empty string/null)
+            if (material) params.material = material;
+            if (materialKey && materialKey.version) params.materialVersion = materialKey.version;
+            if (executionStatus) params.executionStatus = executionStatus;
+            if (orderNumber) params.orderNumber = orderNumber;
+            // The picked calendar days as they are (no UTC conversion that would shift the day), only if the API
+            // reads them with the selected range mode; otherwise the client-side filter alone applies the range
+            if (dateBounds && API_DATE_RANGE_MODES.includes(filterBarModel.getProperty("/dateRangeMode"))) {
+                params.dateFrom = toIsoDay(dateFromObj);
+                params.dateTo = toIsoDay(dateToObj);
+            }
+
+            // === Start a new search (older in-flight page requests become stale) ===
+
+            // Page size and selectable statuses are kept per search, so all its pages and refreshes agree
+            const oSettings = this._getPluginSettings();
+            this._oSearch = {
+                plant: oPlant,
+                params: params,
+                pageSize: oSettings.pageSize,
+                selectableStatuses: oSettings.selectableStatuses,
+                filters: {
+                    dateBounds: dateBounds,
+                    materialKey: materialKey,
+                    executionStatus: executionStatus,
+                    orderNumber: orderNumber,
+                    orderNumberExact: !!orderKey
+                },
+                nextPage: 0,
+                enrichments: [] // promises of the background enrichment per loaded page
+            };
+
+            const orderModel = this.getView().getModel("orderModel");
+            orderModel.setProperty("/orders", []);
+            this._updateOrderSummary();
+            this._syncSelection();  // RESET selection here
+            orderModel.setProperty("/paging", createEmptyPaging());
+            orderModel.setProperty("/autoRefresh/lastRefresh", "");
+
+            this._loadOrdersPage(this._oSearch);
+            this._scheduleAutoRefresh(); // next refresh one full interval after this search
+        },
+
+    /**
+     * Returns the time zone of the POD's plant, in which filter days are meant and scheduled dates are shown.
+     * Falls back to the browser's time zone if the plant settings have none or an unknown one.
+     * @returns {string} - IANA time zone, e.g. "Europe/Berlin".
+     */
+        _getPlantTimeZone: function () {
+            if (this._sPlantTimeZone) return this._sPlantTimeZone;
+
+            let sTimeZone = "";
+            try {
+                sTimeZone = PlantSettings.getTimeZone() || "";
+                // Throws a RangeError for time zones the browser does not know
+                new Intl.DateTimeFormat("en-US", { timeZone: sTimeZone || undefined });
+            } catch (err) {
+                Log.warning(`Plant time zone "${sTimeZone}" cannot be used, using the browser time zone`, err && err.message);
+                sTimeZone = "";
+            }
+            this._sPlantTimeZone = sTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+            return this._sPlantTimeZone;
+        },
+
+    /**
+     * Handler for the "More" button below the orders table.
+     * Loads the next page of the current search, if the API reported more pages and no page is loading yet.
+     */
+        onLoadMorePress: function () {
+            const oPaging = this.getView().getModel("orderModel").getProperty("/paging");
+            if (!this._oSearch || !oPaging.hasMore || oPaging.busy) {
+                return;
+            }
+            this._loadOrdersPage(this._oSearch);
+        },
+
+    /**
+     * Requests one page of the order list API for the given search and appends it to the table.
+     * - Uses the search's stored query parameters plus 'page' and 'size'.
+     * - Applies the client-side filters to the page and shows its rows immediately.
+     * - Starts the Parent SFC / DM Released Qty enrichment of the page in the background (see '_enrichRows').
+     * - Updates the paging info ("Showing X of Y", "More" button) and the item count heading from the API totals.
+     * - Responses belonging to an older search (user pressed Search again meanwhile) are ignored.
+     * @param {object} oSearch - Current search as stored by 'onFilterPress'.
+     * @returns {Promise} - Resolves when the page has been processed.
+     */
+        _loadOrdersPage: function (oSearch) {
+            const orderModel = this.getView().getModel("orderModel");
+            const iPage = oSearch.nextPage;
+            const params = Object.assign({}, oSearch.params, { size: oSearch.pageSize, page: iPage });
+
+            orderModel.setProperty("/paging/busy", true);
+
+            // === Actual backend fetch ===
+
+            return this._getRestClient().get(API_PATH.ORDER_LIST, params)
+            .then(apiData => {
+                if (oSearch !== this._oSearch) return; // a newer search has started
+
+                apiData = apiData || {};
+                const pageContent = apiData.content || [];
+
+                // === Client-side post-filtering (for extra safety) ===
+                const ordersList = applyClientSideFilters(pageContent, oSearch.filters);
+
+                // Render base rows right away; Parent SFC and DM Released Qty are filled in progressively
+                const pageRows = ordersList.map(orderObj => {
+                    const mappedOrder = mapOrderApiToUiRow(orderObj, oSearch.selectableStatuses);
+                    mappedOrder.enrichmentPending = isEnrichmentRequired(orderObj, oSearch.selectableStatuses);
+                    return mappedOrder;
+                });
+
+                // Append this page to the already loaded rows
+                const allOrders = (orderModel.getProperty("/orders") || []).concat(pageRows);
+                orderModel.setProperty("/orders", allOrders);
+                this._updateOrderSummary();
+
+                // === Paging info from API totals ===
+                const fetchedCount = orderModel.getProperty("/paging/fetchedCount") + pageContent.length;
+                const totalElements = typeof apiData.totalElements === "number" ? apiData.totalElements : fetchedCount;
+                const totalPages = typeof apiData.totalPages === "number" ? apiData.totalPages : iPage + 1;
+                oSearch.nextPage = iPage + 1;
+
+                // The table heading shows the rows (loadedCount), the paging row the fetched orders of the API total
+                orderModel.setProperty("/paging", {
+                    totalElements: totalElements,
+                    totalPages: totalPages,
+                    fetchedCount: fetchedCount,
+                    loadedCount: allOrders.length,
+                    hasMore: oSearch.nextPage < totalPages,
+                    busy: false
+                });
+
+                // === Enrich rows with Parent SFC (in the background, limited concurrency) ===
+                oSearch.enrichments.push(this._enrichRows(pageRows.filter(row => row.enrichmentPending), oSearch));
+            })
+            .catch(err => {
+                if (oSearch !== this._oSearch) return;
+                // Any error: showing user-friendly message; a failed first page clears the table
+                MessageToast.show(this._getText("search.failed", [this._getRestClient().getErrorMessage(err)]));
+                if (iPage === 0) {
+                    orderModel.setProperty("/orders", []);
+                    this._updateOrderSummary();
+                    orderModel.setProperty("/paging", createEmptyPaging());
+                }
+            })
+            .finally(() => {
+                if (oSearch === this._oSearch) {
+                    orderModel.setProperty("/paging/busy", false);
+                }
+            });
+        },
+
+    /**
+     * Fills Parent SFC and DM Released Qty into already displayed rows, in the background.
+     * - At most ENRICHMENT_CONCURRENCY orders are looked up at the same time.
+     * - Each row is updated in the model as soon as its own lookup finishes.
+     * - Results of an older search (user pressed Search again meanwhile) are dropped.
+     * @param {object[]} aRows - Table rows (already in 'orderModel>/orders') waiting for enrichment.
+     * @param {object} oSearch - Search the rows belong to.
+     * @returns {Promise} - Resolves when all rows have been processed.
+     */
+        _enrichRows: function (aRows, oSearch) {
+            return runWithConcurrency(aRows, ENRICHMENT_CONCURRENCY, (row) => {
+                if (oSearch !== this._oSearch) return Promise.resolve();
+                return this._getOrderEnrichment(oSearch.plant, row.orderNo)
+                    .catch(() => ({ parentSFC: "-", parentSfcAmbiguous: false, parentSfcCandidates: [], dmReleasedQuantity: null }))
+                    .then(oEnrichment => {
+                        if (oSearch !== this._oSearch) return;
+                        this._applyEnrichment(row.orderNo, oEnrichment);
+                    });
+            });
+        },
+
+    /**
+     * Writes an enrichment result into the matching row of 'orderModel>/orders'.
+     * @param {string} orderNo - Order number of the row.
+     * @param {object} oEnrichment - { parentSFC, parentSfcAmbiguous, parentSfcCandidates, dmReleasedQuantity } ("-"/null when not available).
+     */
+        _applyEnrichment: function (orderNo, oEnrichment) {
+            const orderModel = this.getView().getModel("orderModel");
+            const orders = orderModel.getProperty("/orders") || [];
+            const index = orders.findIndex(o => o.orderNo === orderNo);
+            if (index < 0) return;
+
+            const sPath = "/orders/" + index;
+            // After a refresh the row still shows the previous value; a different DM Released Qty marks it as changed
+            const row = orders[index];
+            if (!row.enrichmentPending && oEnrichment.dmReleasedQuantity !== null && row.dmReleasedQuantity !== oEnrichment.dmReleasedQuantity) {
+                orderModel.setProperty(sPath + "/changed", true);
+            }
+            orderModel.setProperty(sPath + "/parentSFC", oEnrichment.parentSFC);
+            orderModel.setProperty(sPath + "/parentSfcAmbiguous", !!oEnrichment.parentSfcAmbiguous);
+            orderModel.setProperty(sPath + "/parentSfcCandidates", (oEnrichment.parentSfcCandidates || []).join(", "));
+            orderModel.setProperty(sPath + "/dmReleasedQuantity", oEnrichment.dmReleasedQuantity);
+            orderModel.setProperty(sPath + "/enrichmentPending", false);
+            this._updateOrderSummary();
+        },
+
+    /**
+     * Returns Parent SFC and DM Released Qty for an order, using the short-lived per-plant cache.
+     * - A cached result younger than ENRICHMENT_CACHE_TTL_MS is returned without any API call.
+     * - Concurrent lookups of the same order share one request.
+     * - Only complete lookups are cached, so a failed call is retried on the next search.
+     * @param {string} oPlant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     * @returns {Promise<object>} - { parentSFC, parentSfcAmbiguous, parentSfcCandidates, dmReleasedQuantity, sfcs } ("-"/null when not available).
+     */
+        _getOrderEnrichment: function (oPlant, orderNo) {
+            const plantCache = this._oEnrichmentCache[oPlant] || (this._oEnrichmentCache[oPlant] = {});
+            const cached = plantCache[orderNo];
+            if (cached && (cached.promise || cached.expires > Date.now())) {
+                return cached.promise || Promise.resolve(cached.value);
+            }
+
+            const promise = this._fetchOrderEnrichment(oPlant, orderNo)
+                .then(oResult => {
+                    if (oResult.complete) {
+                        plantCache[orderNo] = { value: oResult.value, expires: Date.now() + ENRICHMENT_CACHE_TTL_MS };
+                    } else {
+                        delete plantCache[orderNo];
+                    }
+                    return oResult.value;
+                }, err => {
+                    delete plantCache[orderNo];
+                    throw err;
+                });
+            plantCache[orderNo] = { promise: promise };
+            return promise;
+        },
+
+    /**
+     * Drops the cached Parent SFC / DM Released Qty of an order, e.g. after it was completed,
+     * so the next search or refresh reads fresh values for it.
+     * @param {string} oPlant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     */
+        _invalidateOrderEnrichment: function (oPlant, orderNo) {
+            if (this._oEnrichmentCache[oPlant]) {
+                delete this._oEnrichmentCache[oPlant][orderNo];
+            }
+        },
+
+    /**
+     * Looks up Parent SFC and DM Released Qty of one order from the backend.
+     * - Calls the order detail API to get the order's SFCs.
+     * - Calls the SFC detail API for each of them (limited concurrency) and resolves the Parent SFC
+     *   from the split/merge genealogy in the details (see 'resolveParentSfc').
+     * - The DM released quantity is the "quantity" of the resolved Parent SFC.
+     * @param {string} oPlant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     * @returns {Promise<object>} - { value: { parentSFC, parentSfcAmbiguous, parentSfcCandidates, dmReleasedQuantity, sfcs }, complete }
+     *                              where 'complete' is false if a call failed.
+     */
+        _fetchOrderEnrichment: async function (oPlant, orderNo) {
+            const value = { parentSFC: "-", parentSfcAmbiguous: false, parentSfcCandidates: [], dmReleasedQuantity: null, sfcs: [] };
+
+            const orderDetailData = await this._fetchOrderDetail(oPlant, orderNo);
+            if (!orderDetailData) {
+                return { value: value, complete: false };
+            }
+            const sfcs = Array.isArray(orderDetailData.sfcs) ? orderDetailData.sfcs : [];
+            value.sfcs = sfcs;
+            if (!sfcs.length) {
+                return { value: value, complete: true };
+            }
+
+            // Fetch SFC details (genealogy and DM Released Qty) from SFC Detail API
+            const sfcDetails = {};
+            let complete = true;
+            await runWithConcurrency(sfcs, SFC_DETAIL_CONCURRENCY, async (sfc) => {
+                try {
+                    const sfcDetailData = await this._fetchSfcDetail(oPlant, sfc);
+                    if (sfcDetailData) {
+                        sfcDetails[sfc] = sfcDetailData;
+                    } else {
+                        complete = false;
+                    }
+                } catch (sfcErr) {
+                    complete = false;
+                }
+            });
+
+            const resolution = resolveParentSfc(sfcs, sfcDetails, orderNo);
+            value.parentSFC = resolution.parentSFC || "-";
+            value.parentSfcAmbiguous = resolution.ambiguous;
+            value.parentSfcCandidates = resolution.candidates;
+
+            // The DM released quantity is in "quantity" of the Parent SFC
+            const parentDetail = resolution.parentSFC && sfcDetails[resolution.parentSFC];
+            if (parentDetail && typeof parentDetail.quantity !== "undefined" && parentDetail.quantity !== null) {
+                value.dmReleasedQuantity = Number(parentDetail.quantity);
+            }
+            return { value: value, complete: complete };
+        },
+
+    /**
+     * Reads one order from the order detail API (includes the order's 'sfcs').
+     * @param {string} oPlant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     * @returns {Promise<object|null>} - Order detail (null for an empty response); rejects with a DmRestError.
+     */
+        _fetchOrderDetail: function (oPlant, orderNo) {
+            return this._getRestClient().get(API_PATH.ORDER_DETAIL, { plant: oPlant, order: orderNo });
+        },
+
+    /**
+     * Reads one SFC from the SFC detail API.
+     * @param {string} oPlant - Plant of the SFC.
+     * @param {string} sfc - SFC number.
+     * @returns {Promise<object|null>} - SFC detail (null for an empty response); rejects with a DmRestError.
+     */
+        _fetchSfcDetail: function (oPlant, sfc) {
+            return this._getRestClient().get(API_PATH.SFC_DETAIL, { plant: oPlant, sfc: sfc });
+        },
+
+    /**
+     * Returns the shared client for the DM public API, created on first use.
+     * All backend calls of this plugin go through it (URL encoding, CSRF token, timeouts, retries, normalized errors).
+     * @returns {bobm.custom.completeorderplugin.orderviewplugin.service.DmRestClient}
+     */
+        _getRestClient: function () {
+            if (!this._oRestClient) {
+                this._oRestClient = new DmRestClient({
+                    baseUrl: this.getPublicApiRestDataSourceUri(),
+                    getText: this._getText.bind(this)
+                });
+            }
+            return this._oRestClient;
+        },
+
+    /**
+     * Handler for the "CSV" item of the Export menu.
+     */
+        onExportCsv: function () {
+            this._exportOrders(EXPORT_FORMAT.CSV);
+        },
+
+    /**
+     * Handler for the "Excel" item of the Export menu.
+     */
+        onExportExcel: function () {
+            this._exportOrders(EXPORT_FORMAT.XLSX);
+        },
+
+    /**
+     * Exports the current result set from 'orderModel' as CSV or Excel file.
+     * - Works offline from the rows already in the model; no API call is needed for the export itself.
+     * - If the API reported more pages than are loaded, the user can load the remaining pages first
+     *   (then the export waits for their Parent SFC / DM Released Qty as well) or export the loaded rows only.
+     * @param {string} sFormat - EXPORT_FORMAT.CSV or EXPORT_FORMAT.XLSX.
+     */
+        _exportOrders: function (sFormat) {
+            const orderModel = this.getView().getModel("orderModel");
+            const orders = orderModel.getProperty("/orders") || [];
+            const oPaging = orderModel.getProperty("/paging");
+
+            if (!orders.length) {
+                MessageToast.show(this._getText("export.noOrders"));
+                return;
+            }
+            if (!oPaging.hasMore) {
+                this._waitForEnrichment().then(() => this._writeExport(sFormat));
+                return;
+            }
+
+            const sLoadAll = this._getText("export.loadAll");
+            const sLoadedOnly = this._getText("export.loadedOnly");
+            MessageBox.confirm(this._getText("export.partialConfirm", [oPaging.fetchedCount, oPaging.totalElements]), {
+                title: this._getText("table.export"),
+                actions: [sLoadAll, sLoadedOnly, MessageBox.Action.CANCEL],
+                emphasizedAction: sLoadAll,
+                onClose: (sAction) => {
+                    if (sAction === sLoadAll) {
+                        this._loadAllRemainingPages()
+                            .then(() => this._waitForEnrichment())
+                            .then(() => this._writeExport(sFormat));
+                    } else if (sAction === sLoadedOnly) {
+                        this._writeExport(sFormat);
+                    }
+                }
+            });
+        },
+
+    /**
+     * Loads all remaining pages of the current search, one after the other.
+     * Stops early if a page fails or a new search is started.
+     * @returns {Promise} - Resolves when no more pages are left (or loading stopped).
+     */
+        _loadAllRemainingPages: async function () {
+            const orderModel = this.getView().getModel("orderModel");
+            const oSearch = this._oSearch;
+            this.getView().setBusy(true);
+            try {
+                while (oSearch && oSearch === this._oSearch && orderModel.getProperty("/paging/hasMore")) {
+                    const iPageBefore = oSearch.nextPage;
+                    await this._loadOrdersPage(oSearch);
+                    if (oSearch.nextPage === iPageBefore) break; // page failed, do not loop forever
+                }
+            } finally {
+                this.getView().setBusy(false);
+            }
+        },
+
+    /**
+     * Waits until the background Parent SFC / DM Released Qty lookups of the current search are finished,
+     * so exported rows contain the enriched values.
+     * @returns {Promise}
+     */
+        _waitForEnrichment: function () {
+            const aPending = (this._oSearch && this._oSearch.enrichments) || [];
+            if (!aPending.length) return Promise.resolve();
+            this.getView().setBusy(true);
+            return Promise.all(aPending).finally(() => this.getView().setBusy(false));
+        },
+
+    /**
+     * Writes the loaded orders to a file in the given format.
+     * Quantities and UOM are separate numeric and unit columns; scheduled dates are date/time cells.
+     * @param {string} sFormat - EXPORT_FORMAT.CSV or EXPORT_FORMAT.XLSX.
+     * @returns {Promise} - Resolves when the file has been handed to the browser.
+     */
+        _writeExport: function (sFormat) {
+            const orders = this.getView().getModel("orderModel").getProperty("/orders") || [];
+            const aRecords = orders.map(mapOrderRowToExportRecord);
+            const aHeaders = EXPORT_COLUMNS.map(col => this._getText(col.labelKey));
+            const sFileName = "Orders_" + formatFileTimestamp(new Date());
+
+            if (sFormat === EXPORT_FORMAT.CSV) {
+                File.save(buildCsv(aRecords, aHeaders), sFileName, "csv", "text/csv", "utf-8", true);
+                return Promise.resolve();
+            }
+
+            const oSpreadsheet = new Spreadsheet({
+                workbook: {
+                    columns: EXPORT_COLUMNS.map((col, i) => ({
+                        label: aHeaders[i],
+                        property: col.property,
+                        type: col.type === "number" ? EdmType.Number : (col.type === "datetime" ? EdmType.DateTime : EdmType.String)
+                    }))
+                },
+                dataSource: aRecords,
+                fileName: sFileName + ".xlsx",
+                worker: true
+            });
+            return oSpreadsheet.build()
+                .catch(err => MessageToast.show(this._getText("export.failed", [err && err.message ? err.message : err])))
+                .finally(() => oSpreadsheet.destroy());
+        },
+
+
+
+        
+
+    /**
+     * ashutosh.d.kashyap
+     * Handles the "Complete Order" button click action.
+     * - Retrieves all selected orders from the model (one or many).
+     * - Refuses to start while Parent SFCs of selected orders are still being loaded.
+     * - Runs the readiness check for each selected order (see '_checkOrderReadiness') before anything is changed.
+     * - Opens the preview dialog listing every SFC, the blockers/warnings and the SFCs that will be invalidated.
+     * - The actual completion only starts when the supervisor confirms the preview (see 'onCompletionPreviewConfirm').
+     */
+        onCompleteOrder: async function () {
+            const orderModel = this.getView().getModel("orderModel");
+            const plant = this.getPodController().getUserPlant();
+            const selectedOrders = this._getSelectedOrders();
+        
+            if (!this._checkPermission(ORDER_ACTION.COMPLETE)) return;
+            if (!selectedOrders.length) {
+                MessageToast.show(this._getText("complete.selectOrder"));
+                return;
+            }
+            // The completion flow needs the Parent SFC, so wait for the background lookup to finish
+            if (selectedOrders.some(o => o.enrichmentPending)) {
+                MessageToast.show(this._getText("complete.parentSfcLoading"));
+                return;
+            }
+
+            let plans = [];
+            orderModel.setProperty("/actionInProgress", true);
+            this.getView().setBusy(true);
+            try {
+                plans = await this._checkCompletionReadiness(selectedOrders, plant);
+            } finally {
+                this.getView().setBusy(false);
+                orderModel.setProperty("/actionInProgress", false);
+            }
+            await this._openCompletionPreview(plans);
+        },
+
+    /**
+     * Runs the readiness check for several orders, with limited concurrency.
+     * @param {object[]} aOrderRows - Table rows of the orders to check.
+     * @param {string} plant - Plant of the orders.
+     * An order whose check fails unexpectedly gets a plan with a blocker, so it is shown as skipped instead of lost.
+     * @returns {Promise<object[]>} - Completion plans in the same order as 'aOrderRows'.
+     */
+        _checkCompletionReadiness: async function (aOrderRows, plant) {
+            const policy = this._getSfcCleanupPolicy();
+            const plans = new Array(aOrderRows.length);
+            await runWithConcurrency(aOrderRows.map((row, index) => index), ENRICHMENT_CONCURRENCY, async (index) => {
+                try {
+                    plans[index] = await this._checkOrderReadiness(aOrderRows[index], plant, policy);
+                } catch (err) {
+                    Log.error(`Readiness check of order ${aOrderRows[index].orderNo} failed`, err && err.message);
+                    const plan = createCompletionPlan(aOrderRows[index], policy);
+                    plan.issues.push({ type: ISSUE_TYPE.BLOCKER, text: this._getText("complete.readinessFailed", [this._getRestClient().getErrorMessage(err)]) });
+                    plans[index] = plan;
+                }
+            });
+            return plans;
+        },
+
+    /**
+     * Checks whether one order can be completed and works out what the completion will change.
+     * - Lists every SFC of the order from the SFC worklist API, with status and quantity.
+     * - Blockers (order is skipped): order status other than ACTIVE/NOT_IN_EXECUTION, ACTIVE SFCs, SFC list not available.
+     * - Warnings (supervisor decides): delivered quantity short of the build quantity, no SFCs found.
+     * - Marks the SFCs to invalidate according to the SFC cleanup policy (see '_getSfcCleanupPolicy').
+     * @param {object} orderRow - Table row of the order.
+     * @param {string} plant - Plant of the order.
+     * @param {object} policy - SFC cleanup policy to apply.
+     * @returns {Promise<object>} - Completion plan: { orderNo, executionStatus, parentSFC, orderRow, sfcs, issues, sfcsToInvalidate, policy, ready }.
+     */
+        _checkOrderReadiness: async function (orderRow, plant, policy) {
+            const plan = createCompletionPlan(orderRow, policy);
+            const addIssue = (type, text) => plan.issues.push({ type: type, text: text });
+
+            if (!COMPLETABLE_STATUSES.includes(orderRow.executionStatus)
+                || !this._getPluginSettings().selectableStatuses.includes(orderRow.executionStatus)) {
+                addIssue(ISSUE_TYPE.BLOCKER, this._getText("complete.statusNotCompletable", [this.formatExecutionStatus(orderRow.executionStatus)]));
+                return plan;
+            }
+
+            try {
+                const sfcs = await this._fetchOrderSfcs(plant, orderRow.orderNo);
+                plan.sfcs = sfcs.map(sfc => ({
+                    sfc: sfc.sfc,
+                    status: getSfcStatus(sfc),
+                    quantity: (sfc.quantity !== undefined && sfc.quantity !== null) ? sfc.quantity : "-",
+                    willInvalidate: false
+                }));
+            } catch (err) {
+                addIssue(ISSUE_TYPE.BLOCKER, this._getText("complete.sfcListFailed", [this._getRestClient().getErrorMessage(err)]));
+                return plan;
+            }
+
+            // SFC invalidation according to the cleanup policy (Parent SFC only, or all of the order's SFCs)
+            plan.sfcs.forEach(entry => {
+                const isCandidate = policy.includeChildSfcs || entry.sfc === orderRow.parentSFC;
+                if (isCandidate && entry.status !== "INVALID" && policy.invalidateStatuses.includes(entry.status)) {
+                    entry.willInvalidate = true;
+                    plan.sfcsToInvalidate.push(entry.sfc);
+                }
+            });
+
+            // Blockers: SFCs still being worked on
+            const activeSfcs = plan.sfcs.filter(s => s.status === "ACTIVE").map(s => s.sfc);
+            if (activeSfcs.length) {
+                addIssue(ISSUE_TYPE.BLOCKER, this._getText("complete.activeSfcs", [activeSfcs.join(", ")]));
+            }
+
+            // Warnings: quantity shortfall and missing SFCs
+            if (typeof orderRow.buildQuantity === "number" && typeof orderRow.doneQuantity === "number"
+                && orderRow.doneQuantity < orderRow.buildQuantity) {
+                const shortfall = orderRow.buildQuantity - orderRow.doneQuantity;
+                addIssue(ISSUE_TYPE.WARNING, this._getText("complete.shortfall", [
+                    QUANTITY_FORMAT.format(orderRow.doneQuantity),
+                    formatQuantityWithUom(orderRow.buildQuantity, orderRow.uom),
+                    formatQuantityWithUom(shortfall, orderRow.uom)
+                ]));
+            }
+            if (!plan.sfcs.length) {
+                addIssue(ISSUE_TYPE.WARNING, this._getText("complete.noSfcs"));
+            }
+            if (orderRow.parentSfcAmbiguous) {
+                addIssue(ISSUE_TYPE.WARNING, this._getText("complete.parentSfcAmbiguous", [orderRow.parentSfcCandidates, orderRow.parentSFC]));
+            }
+
+            plan.ready = !plan.issues.some(i => i.type === ISSUE_TYPE.BLOCKER);
+            return plan;
+        },
+
+    /**
+     * Returns the SFC cleanup policy from the plugin configuration (POD Designer), completed with defaults.
+     * - invalidateStatuses: SFC statuses that get invalidated before completion.
+     * - includeChildSfcs: also invalidate the order's other (child/split) SFCs, not only the Parent SFC.
+     * - stopOnFailure: do not complete an order if one of its SFCs could not be invalidated.
+     * @returns {object} - { invalidateStatuses, includeChildSfcs, stopOnFailure }.
+     */
+        _getSfcCleanupPolicy: function () {
+            const oConfig = (this.getConfiguration && this.getConfiguration()) || {};
+            return {
+                invalidateStatuses: parseStatusList(oConfig.sfcCleanupStatuses, DEFAULT_SFC_CLEANUP_POLICY.invalidateStatuses),
+                includeChildSfcs: typeof oConfig.sfcCleanupIncludeChildSfcs === "boolean"
+                    ? oConfig.sfcCleanupIncludeChildSfcs : DEFAULT_SFC_CLEANUP_POLICY.includeChildSfcs,
+                stopOnFailure: typeof oConfig.sfcCleanupStopOnFailure === "boolean"
+                    ? oConfig.sfcCleanupStopOnFailure : DEFAULT_SFC_CLEANUP_POLICY.stopOnFailure
+            };
+        },
+
+    /**
+     * Returns the plugin settings from the POD Designer configuration, with defaults for missing or invalid values
+     * (see DEFAULT_PLUGIN_SETTINGS):
+     * - pageSize: orders per call to the order list API.
+     * - selectableStatuses: comma separated execution statuses whose rows can be selected for actions
+     *   (add COMPLETED to close orders, HOLD to release orders from hold).
+     * - invalidationTimeoutSeconds: longest wait for invalidated SFCs to report INVALID before Complete Order.
+     * - reconciliationTolerancePercent: allowed quantity difference in reconciliation mode (percent of build quantity).
+     * - showAdjustQty / showDiscard: show the Adjust Qty and Discard Order actions.
+     * - holdReasonCodes: comma separated reason codes offered for "Hold".
+     * @returns {object}
+     */
+        _getPluginSettings: function () {
+            const oConfig = (this.getConfiguration && this.getConfiguration()) || {};
+            return {
+                pageSize: Math.floor(parseNumberSetting(oConfig.pageSize, DEFAULT_PLUGIN_SETTINGS.pageSize, 1)),
+                selectableStatuses: parseStatusList(oConfig.selectableStatuses, DEFAULT_PLUGIN_SETTINGS.selectableStatuses),
+                invalidationTimeoutSeconds: parseNumberSetting(oConfig.invalidationTimeoutSeconds, DEFAULT_PLUGIN_SETTINGS.invalidationTimeoutSeconds, 0),
+                reconciliationTolerancePercent: parseNumberSetting(oConfig.reconciliationTolerancePercent,
+                    DEFAULT_PLUGIN_SETTINGS.reconciliationTolerancePercent, 0),
+                showAdjustQty: typeof oConfig.showAdjustQty === "boolean" ? oConfig.showAdjustQty : DEFAULT_PLUGIN_SETTINGS.showAdjustQty,
+                showDiscard: typeof oConfig.showDiscard === "boolean" ? oConfig.showDiscard : DEFAULT_PLUGIN_SETTINGS.showDiscard,
+                holdReasonCodes: parseConfigList(oConfig.holdReasonCodes, DEFAULT_PLUGIN_SETTINGS.holdReasonCodes)
+            };
+        },
+
+    /**
+     * Reads all SFCs of an order from the SFC worklist API.
+     * Handles an empty response body as "no SFCs"; entries of other orders are filtered out.
+     * @param {string} plant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     * @returns {Promise<object[]>} - Raw SFC worklist entries ({ sfc, status, quantity, order, ... }); rejects with a DmRestError.
+     */
+        _fetchOrderSfcs: async function (plant, orderNo) {
+            // An empty response body comes back as null
+            const sfcs = await this._getRestClient().get(API_PATH.SFC_WORKLIST, { plant: plant, "filter.order": orderNo });
+            if (!Array.isArray(sfcs)) return [];
+            return sfcs.filter(sfc => !sfc.order || sfc.order === orderNo);
+        },
+
+    /**
+     * Opens the completion preview dialog for the given plans.
+     * Blocked orders are shown with their blockers and will be skipped; the confirm button is
+     * only enabled if at least one order is ready.
+     * @param {object[]} aPlans - Completion plans from '_checkCompletionReadiness'.
+     * @returns {Promise} - Resolves when the dialog is open.
+     */
+        _openCompletionPreview: function (aPlans) {
+            this._aCompletionPlans = aPlans;
+            const readyCount = aPlans.filter(p => p.ready).length;
+            const closableCount = aPlans.filter(p => p.ready && COMPLETE_AND_CLOSE_STATUSES.includes(p.executionStatus)).length;
+            const oData = {
+                policyText: aPlans.length ? describeSfcCleanupPolicy(aPlans[0].policy, this._getResourceBundle()) : "",
+                readyCount: readyCount,
+                // Complete-then-close is offered for ready orders not yet in execution, if the user may close orders
+                closeAfterCompleteCount: this._hasPermission(ORDER_ACTION.CLOSE) ? closableCount : 0,
+                closeAfterComplete: false,
+                blockedCount: aPlans.length - readyCount,
+                orders: aPlans.map(p => ({
+                    orderNo: p.orderNo,
+                    headerText: this._getText("preview.orderHeader", [
+                        p.orderNo,
+                        this.formatExecutionStatus(p.executionStatus),
+                        p.parentSFC,
+                        this._getText(p.ready ? "preview.ready" : "preview.blocked")
+                    ]),
+                    ready: p.ready,
+                    issues: p.issues,
+                    sfcs: p.sfcs,
+                    invalidateText: p.sfcsToInvalidate.length ? p.sfcsToInvalidate.join(", ") : this._getText("common.none")
+                }))
+            };
+            return this._getDialog("CompletionPreviewDialog").then(oDialog => {
+                oDialog.setModel(new JSONModel(oData), "preview");
+                oDialog.open();
+            });
+        },
+
+    /**
+     * Handler for the "Cancel" button of the completion preview: closes it without changing anything.
+     */
+        onCompletionPreviewCancel: function () {
+            this._aCompletionPlans = null;
+            this._getDialog("CompletionPreviewDialog").then(oDialog => oDialog.close());
+        },
+
+    /**
+     * Handler for the confirm button of the completion preview.
+     * - Opens the progress dialog listing every step of every ready order (see '_createCompletionSteps'); blocked orders are skipped.
+     * - Runs the steps of each order one after the other (see '_runOrderSteps'); the dialog shows the state and
+     *   the backend message of each step, and a failed step can be retried from there.
+     * - If "close after completion" was chosen, orders not yet in execution are closed right after a successful completion.
+     */
+        onCompletionPreviewConfirm: async function () {
+            const plant = this.getPodController().getUserPlant();
+            const plans = this._aCompletionPlans || [];
+            this._aCompletionPlans = null;
+            const oPreviewDialog = await this._getDialog("CompletionPreviewDialog");
+            const bCloseAfterComplete = !!oPreviewDialog.getModel("preview").getProperty("/closeAfterComplete");
+            oPreviewDialog.close();
+            if (!this._checkPermission(ORDER_ACTION.COMPLETE)) return;
+            if (bCloseAfterComplete && !this._checkPermission(ORDER_ACTION.CLOSE)) return;
+
+            const readyPlans = plans.filter(plan => plan.ready);
+            const oProgressModel = new JSONModel({
+                running: false,
+                summary: "",
+                skippedText: plans.filter(plan => !plan.ready)
+                    .map(plan => this._getText("progress.skipped",
+                        [plan.orderNo, plan.issues.filter(i => i.type === ISSUE_TYPE.BLOCKER).map(i => i.text).join(" ")]))
+                    .join("\n"),
+                steps: [].concat(...readyPlans.map(plan => this._createCompletionSteps(plan, bCloseAfterComplete)))
+            });
+            this._oCompletionRun = {
+                plant: plant,
+                model: oProgressModel,
+                plans: readyPlans,
+                published: { COMPLETE: [], CLOSE: [] }
+            };
+            this._updateCompletionSummary(this._oCompletionRun);
+            const oDialog = await this._getDialog("CompletionProgressDialog");
+            oDialog.setModel(oProgressModel, "progress");
+            oDialog.open();
+
+            await this._runCompletionSteps(this._oCompletionRun, readyPlans);
+        },
+
+    /**
+     * Creates the steps of the completion flow for one ready order.
+     * @param {object} plan - Completion plan from '_checkOrderReadiness'.
+     * @param {boolean} bCloseAfterComplete - Whether orders not yet in execution are closed after completion.
+     * @returns {object[]} - Steps ({ orderNo, kind, sfc, text, state, message }), all PENDING.
+     */
+        _createCompletionSteps: function (plan, bCloseAfterComplete) {
+            const createStep = (sKind, sText, sSfc) => ({
+                orderNo: plan.orderNo,
+                kind: sKind,
+                sfc: sSfc || "",
+                text: sText,
+                state: STEP_STATE.PENDING,
+                message: ""
+            });
+            const steps = plan.sfcsToInvalidate.map(sfc =>
+                createStep(COMPLETION_STEP.INVALIDATE, this._getText("progress.step.invalidate", [sfc]), sfc));
+            if (plan.sfcsToInvalidate.length) {
+                steps.push(createStep(COMPLETION_STEP.WAIT_INVALID, this._getText("progress.step.waitInvalid")));
+            }
+            steps.push(createStep(COMPLETION_STEP.COMPLETE, this._getText("progress.step.complete")));
+            if (bCloseAfterComplete && COMPLETE_AND_CLOSE_STATUSES.includes(plan.executionStatus)) {
+                steps.push(createStep(COMPLETION_STEP.CLOSE, this._getText("progress.step.close")));
+            }
+            steps.push(createStep(COMPLETION_STEP.REFRESH, this._getText("progress.step.refresh")));
+            return steps;
+        },
+
+    /**
+     * Runs the pending steps of the given orders while the progress dialog is open, then tells the other plugins
+     * of the POD about the completed and closed orders.
+     * @param {object} oRun - Completion run ({ plant, model, plans, published }).
+     * @param {object[]} aPlans - Completion plans of the orders to run.
+     * @returns {Promise} - Resolves when all steps ran or stopped at a failure.
+     */
+        _runCompletionSteps: async function (oRun, aPlans) {
+            const orderModel = this.getView().getModel("orderModel");
+            oRun.model.setProperty("/running", true);
+            orderModel.setProperty("/actionInProgress", true);
+            this._startActionProgress();
+            try {
+                for (const plan of aPlans) {
+                    await this._runOrderSteps(oRun, plan);
+                }
+            } finally {
+                this._endActionProgress();
+                orderModel.setProperty("/actionInProgress", false);
+                oRun.model.setProperty("/running", false);
+                this._updateCompletionSummary(oRun);
+            }
+
+            // Publish each completed or closed order once, also when it only succeeded on a retry
+            [COMPLETION_STEP.COMPLETE, COMPLETION_STEP.CLOSE].forEach(sKind => {
+                const aOrderNos = oRun.model.getProperty("/steps")
+                    .filter(step => step.kind === sKind && step.state === STEP_STATE.SUCCEEDED && !oRun.published[sKind].includes(step.orderNo))
+                    .map(step => step.orderNo);
+                oRun.published[sKind] = oRun.published[sKind].concat(aOrderNos);
+                this._publishOrdersChanged(sKind, aOrderNos);
+            });
+        },
+
+    /**
+     * Runs the pending steps of one order in their order.
+     * A failed step stops the order; its later steps stay pending until the failed step is retried successfully.
+     * Only a failed SFC invalidation is passed over, if the SFC cleanup policy does not stop on failure.
+     * The row refresh runs in any case, as the steps that did succeed may have changed the order.
+     * @param {object} oRun - Completion run.
+     * @param {object} plan - Completion plan of the order.
+     * @returns {Promise}
+     */
+        _runOrderSteps: async function (oRun, plan) {
+            const steps = oRun.model.getProperty("/steps");
+            const orderSteps = steps.filter(step => step.orderNo === plan.orderNo);
+            let bStopped = false;
+            for (const step of orderSteps) {
+                if (step.state !== STEP_STATE.PENDING) continue;
+                if (bStopped && step.kind !== COMPLETION_STEP.REFRESH) {
+                    this._setStepProperties(oRun, step, { message: this._getText("progress.notRun") });
+                    continue;
+                }
+                const bSucceeded = await this._runCompletionStep(oRun, plan, step);
+                if (bSucceeded) continue;
+                if (step.kind === COMPLETION_STEP.INVALIDATE && !plan.policy.stopOnFailure) continue;
+                bStopped = true;
+            }
+        },
+
+    /**
+     * Runs one step of the completion flow and records its state and backend message.
+     * @param {object} oRun - Completion run.
+     * @param {object} plan - Completion plan of the order.
+     * @param {object} step - Step to run.
+     * @returns {Promise<boolean>} - true if the step succeeded.
+     */
+        _runCompletionStep: async function (oRun, plan, step) {
+            const sAction = step.kind === COMPLETION_STEP.CLOSE ? ORDER_ACTION.CLOSE : ORDER_ACTION.COMPLETE;
+            this._setStepProperties(oRun, step, { state: STEP_STATE.RUNNING, message: "" });
+            this._setActionStep(this._getText("progress.current", [plan.orderNo, step.text]));
+            try {
+                const sMessage = await this._executeCompletionStep(oRun, plan, step);
+                this._setStepProperties(oRun, step, { state: STEP_STATE.SUCCEEDED, message: sMessage || "" });
+                return true;
+            } catch (error) {
+                this._setStepProperties(oRun, step, {
+                    state: STEP_STATE.FAILED,
+                    message: this._getActionErrorMessage(sAction, error, this._getText("progress.stepFailed"))
+                });
+                return false;
+            } finally {
+                this._updateCompletionSummary(oRun);
+            }
+        },
+
+    /**
+     * Calls the backend for one step of the completion flow.
+     * @param {object} oRun - Completion run.
+     * @param {object} plan - Completion plan of the order.
+     * @param {object} step - Step to run.
+     * @returns {Promise<string>} - Message for the step; rejects with the error of a failed call.
+     */
+        _executeCompletionStep: async function (oRun, plan, step) {
+            const client = this._getRestClient();
+            const plant = oRun.plant;
+            const orderNo = plan.orderNo;
+
+            switch (step.kind) {
+                case COMPLETION_STEP.INVALIDATE:
+                    await client.patch(API_PATH.SFC_INVALIDATE, { plant: plant, sfc: step.sfc });
+                    return step.sfc === plan.parentSFC
+                        ? this._getText("complete.parentSfcDeleted") : this._getText("complete.sfcDeleted", [step.sfc]);
+
+                case COMPLETION_STEP.WAIT_INVALID: {
+                    // Give DM time to process the invalidation before running Complete Order; Complete Order must not run
+                    // while SFCs are still valid, so a timeout fails the step and can be retried
+                    const invalidatedSfcs = oRun.model.getProperty("/steps")
+                        .filter(s => s.orderNo === orderNo && s.kind === COMPLETION_STEP.INVALIDATE && s.state === STEP_STATE.SUCCEEDED)
+                        .map(s => s.sfc);
+                    const pendingSfcs = await this._waitForSfcsInvalid(plant, orderNo, invalidatedSfcs);
+                    if (pendingSfcs.length) {
+                        throw new Error(this._getText("complete.sfcsNotYetInvalid",
+                            [pendingSfcs.join(", "), this._getPluginSettings().invalidationTimeoutSeconds]));
+                    }
+                    return this._getText("progress.allInvalid");
+                }
+
+                case COMPLETION_STEP.COMPLETE: {
+                    // The order's SFCs change with completion, so its cached enrichment must not be reused by the refresh
+                    this._invalidateOrderEnrichment(plant, orderNo);
+                    const response = await this._postOrderAction(API_PATH.ORDER_COMPLETE, plant, orderNo);
+                    return (response && response.message) || this._getText("complete.processed");
+                }
+
+                case COMPLETION_STEP.CLOSE: {
+                    const result = await this._closeOrder(plant, orderNo);
+                    if (result.status !== ACTION_RESULT.SUCCESS) throw new Error(result.message);
+                    return result.message;
+                }
+
+                case COMPLETION_STEP.REFRESH:
+                    await this._refreshOrderRow(plant, orderNo);
+                    return this._getText("progress.refreshed");
+
+                default:
+                    throw new Error(`Unknown completion step ${step.kind}`);
+            }
+        },
+
+    /**
+     * Updates properties of a step in the progress dialog.
+     * @param {object} oRun - Completion run.
+     * @param {object} step - Step of the run.
+     * @param {object} mProperties - Properties to set, e.g. { state, message }.
+     */
+        _setStepProperties: function (oRun, step, mProperties) {
+            const sPath = "/steps/" + oRun.model.getProperty("/steps").indexOf(step);
+            Object.keys(mProperties).forEach(sKey => oRun.model.setProperty(sPath + "/" + sKey, mProperties[sKey]));
+        },
+
+    /**
+     * Updates the summary line of the progress dialog from the step states.
+     * @param {object} oRun - Completion run.
+     */
+        _updateCompletionSummary: function (oRun) {
+            const steps = oRun.model.getProperty("/steps");
+            const count = sState => steps.filter(step => step.state === sState).length;
+            oRun.model.setProperty("/summary", this._getText("progress.summary",
+                [count(STEP_STATE.SUCCEEDED), steps.length, count(STEP_STATE.FAILED)]));
+        },
+
+    /**
+     * Handler for the "Retry" button of a failed step in the progress dialog.
+     * Runs the failed step again and, if it succeeds, the order's steps that have not run yet; succeeded steps are not repeated,
+     * except for the row refresh, which runs again to show the outcome of the retry.
+     * @param {sap.ui.base.Event} oEvent - Press event of the button in the step row.
+     */
+        onRetryCompletionStep: async function (oEvent) {
+            const oRun = this._oCompletionRun;
+            const step = oEvent.getSource().getBindingContext("progress").getObject();
+            const plan = oRun && oRun.plans.find(p => p.orderNo === step.orderNo);
+            if (!plan || oRun.model.getProperty("/running") || step.state !== STEP_STATE.FAILED) return;
+            const sAction = step.kind === COMPLETION_STEP.CLOSE ? ORDER_ACTION.CLOSE : ORDER_ACTION.COMPLETE;
+            if (!this._checkPermission(sAction)) return;
+
+            this._setStepProperties(oRun, step, { state: STEP_STATE.PENDING, message: "" });
+            oRun.model.getProperty("/steps")
+                .filter(s => s.orderNo === step.orderNo && s.kind === COMPLETION_STEP.REFRESH)
+                .forEach(s => this._setStepProperties(oRun, s, { state: STEP_STATE.PENDING, message: "" }));
+            await this._runCompletionSteps(oRun, [plan]);
+        },
+
+    /**
+     * Handler for the "Close" button of the progress dialog; not possible while steps are running.
+     */
+        onCompletionProgressClose: function () {
+            if (this._oCompletionRun && this._oCompletionRun.model.getProperty("/running")) return;
+            this._oCompletionRun = null;
+            this._getDialog("CompletionProgressDialog").then(oDialog => oDialog.close());
+        },
+
+    /**
+     * Escape handler of the progress dialog: keeps it open while steps are running.
+     * @param {object} oPromise - { resolve, reject } of the escape handling.
+     */
+        onCompletionProgressEscape: function (oPromise) {
+            if (this._oCompletionRun && this._oCompletionRun.model.getProperty("/running")) {
+                oPromise.reject();
+                return;
+            }
+            this._oCompletionRun = null;
+            oPromise.resolve();
+        },
+
+    /**
+     * Polls the SFC detail API until all given SFCs report INVALID or the configured timeout expires.
+     * Failed status reads are logged and retried with the next poll.
+     * @param {string} plant - Plant of the SFCs.
+     * @param {string} orderNo - Order of the SFCs, for the progress text.
+     * @param {string[]} aSfcs - Invalidated SFCs.
+     * @returns {Promise<string[]>} - SFCs that did not report INVALID in time (empty if all did).
+     */
+        _waitForSfcsInvalid: async function (plant, orderNo, aSfcs) {
+            const iTimeoutSeconds = this._getPluginSettings().invalidationTimeoutSeconds;
+            const iDeadline = Date.now() + iTimeoutSeconds * 1000;
+            let pendingSfcs = aSfcs.slice();
+
+            while (pendingSfcs.length) {
+                this._setActionStep(this._getText("progress.waitingForInvalid", [orderNo, pendingSfcs.join(", "), iTimeoutSeconds]));
+                const aStillPending = [];
+                for (const sfc of pendingSfcs) {
+                    try {
+                        if (getSfcStatus(await this._fetchSfcDetail(plant, sfc)) === "INVALID") continue;
+                    } catch (err) {
+                        Log.warning(`Status of SFC ${sfc} could not be read`, this._getRestClient().getErrorMessage(err));
+                    }
+                    aStillPending.push(sfc);
+                }
+                pendingSfcs = aStillPending;
+                if (!pendingSfcs.length || Date.now() + SFC_INVALID_POLL_INTERVAL_MS > iDeadline) break;
+                await new Promise(res => setTimeout(res, SFC_INVALID_POLL_INTERVAL_MS));
+            }
+            if (pendingSfcs.length) {
+                Log.warning(`SFCs ${pendingSfcs.join(", ")} of order ${orderNo} did not report INVALID within ${iTimeoutSeconds} s`);
+            }
+            return pendingSfcs;
+        },
+
+    /**
+     * Starts showing the progress of a running action (current step and elapsed time) above the orders table.
+     */
+        _startActionProgress: function () {
+            const orderModel = this.getView().getModel("orderModel");
+            const iStart = Date.now();
+            clearInterval(this._iActionProgressTimer);
+            orderModel.setProperty("/actionProgress", { step: "", elapsed: 0 });
+            this._iActionProgressTimer = setInterval(() => {
+                orderModel.setProperty("/actionProgress/elapsed", Math.round((Date.now() - iStart) / 1000));
+            }, 1000);
+        },
+
+    /**
+     * Shows the current step of the running action.
+     * @param {string} sStep - Step description.
+     */
+        _setActionStep: function (sStep) {
+            this.getView().getModel("orderModel").setProperty("/actionProgress/step", sStep);
+        },
+
+    /**
+     * Stops showing the progress of the action.
+     */
+        _endActionProgress: function () {
+            clearInterval(this._iActionProgressTimer);
+            this._iActionProgressTimer = null;
+            this.getView().getModel("orderModel").setProperty("/actionProgress", { step: "", elapsed: 0 });
+        },
+
+    /**
+     * Handler for the "Adjust Qty" button: sets a new quantity on the Parent SFC of the selected order.
+     * - Works on exactly one selected order whose Parent SFC and DM Released Qty are known.
+     * - Validates the entered quantity (see 'validateAdjustQuantity') against build, done and DM released quantities and the UOM.
+     * - Shows the before/after values for confirmation; warnings are listed there as well.
+     * - Calls the SFC setQuantity API and refreshes the order's row with the resulting quantities.
+     */
+        onAdjustQty: function () {
+            if (!this._getPluginSettings().showAdjustQty || !this._checkPermission(ORDER_ACTION.ADJUST_QTY)) return;
+            const plant = this.getPodController().getUserPlant();
+            const selectedOrders = this._getSelectedOrders();
+            const oQtyInput = this.byId("qtyInput");
+
+            if (selectedOrders.length !== 1) {
+                MessageToast.show(this._getText("adjust.selectOne"));
+                return;
+            }
+            const orderRow = selectedOrders[0];
+            if (orderRow.enrichmentPending) {
+                MessageToast.show(this._getText("adjust.parentSfcLoading"));
+                return;
+            }
+            if (!orderRow.parentSFC || orderRow.parentSFC === "-" || typeof orderRow.dmReleasedQuantity !== "number") {
+                MessageToast.show(this._getText("adjust.noParentSfc", [orderRow.orderNo]));
+                return;
+            }
+
+            const validation = validateAdjustQuantity(oQtyInput ? oQtyInput.getValue() : "", orderRow, this._getResourceBundle());
+            if (validation.error) {
+                MessageToast.show(validation.error);
+                return;
+            }
+
+            const newQty = validation.quantity;
+            const uom = orderRow.uom;
+            const confirmLines = [
+                this._getText("adjust.confirmOrder", [orderRow.orderNo, orderRow.parentSFC]),
+                this._getText("adjust.confirmDmReleased",
+                    [formatQuantityWithUom(orderRow.dmReleasedQuantity, uom), formatQuantityWithUom(newQty, uom)])
+            ];
+            if (typeof orderRow.buildQuantity === "number") {
+                confirmLines.push(this._getText("adjust.confirmAvailable", [
+                    formatQuantityWithUom(orderRow.buildQuantity - orderRow.dmReleasedQuantity, uom),
+                    formatQuantityWithUom(orderRow.buildQuantity - newQty, uom)
+                ]));
+            }
+            validation.warnings.forEach(w => confirmLines.push(this._getText("adjust.confirmWarning", [w])));
+
+            MessageBox.confirm(confirmLines.join("\n"), {
+                title: this._getText("action.adjustQty"),
+                onClose: (sAction) => {
+                    if (sAction === MessageBox.Action.OK && this._checkPermission(ORDER_ACTION.ADJUST_QTY)) {
+                        this._setParentSfcQuantity(orderRow, plant, newQty);
+                    }
+                }
+            });
+        },
+
+    /**
+     * Sets the quantity of an order's Parent SFC via the SFC setQuantity API, then refreshes the order's row.
+     * @param {object} orderRow - Table row of the order.
+     * @param {string} plant - Plant of the order.
+     * @param {number} newQty - Validated new quantity.
+     * @returns {Promise} - Resolves when the API call and the row refresh are done.
+     */
+        _setParentSfcQuantity: async function (orderRow, plant, newQty) {
+            const orderModel = this.getView().getModel("orderModel");
+            const oParameters = {
+                plant: plant,
+                sfcQuantityRequests: [{
+                    sfc: orderRow.parentSFC,
+                    quantity: newQty // this is the new qty that will be set on the Parent SFC
+                }]
+            };
+
+            orderModel.setProperty("/actionInProgress", true);
+            try {
+                await this._getRestClient().post(API_PATH.SFC_SET_QUANTITY, null, oParameters);
+                MessageToast.show(this._getText("adjust.success", [formatQuantityWithUom(newQty, orderRow.uom), orderRow.parentSFC]));
+
+                const oQtyInput = this.byId("qtyInput");
+                if (oQtyInput) oQtyInput.setValue("");
+                this._publishOrdersChanged("ADJUST_QUANTITY", [orderRow.orderNo]);
+                await this._refreshOrderRow(plant, orderRow.orderNo);
+            } catch (error) {
+                if (isForbiddenError(error)) {
+                    this._showMissingPermission(ORDER_ACTION.ADJUST_QTY, true);
+                } else {
+                    MessageToast.show(this._getText("adjust.failed", [this._getRestClient().getErrorMessage(error)]));
+                }
+            } finally {
+                orderModel.setProperty("/actionInProgress", false);
+            }
+        },
+
+    /**
+     * Re-reads one order from the backend and replaces its row in the table, keeping the row's selection.
+     * The cached Parent SFC / DM Released Qty of the order is dropped and looked up again.
+     * @param {string} plant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     * @returns {Promise} - Resolves when the row (including enrichment) is up to date.
+     */
+        _refreshOrderRow: async function (plant, orderNo) {
+            const orderModel = this.getView().getModel("orderModel");
+            this._invalidateOrderEnrichment(plant, orderNo);
+
+            let orderDetailData = null;
+            try {
+                orderDetailData = await this._fetchOrderDetail(plant, orderNo);
+            } catch (err) {
+                orderDetailData = null;
+            }
+            const orders = orderModel.getProperty("/orders") || [];
+            const index = orders.findIndex(o => o.orderNo === orderNo);
+            if (!orderDetailData || index < 0) return;
+
+            const aSelectableStatuses = this._getPluginSettings().selectableStatuses;
+            const refreshedRow = mapOrderApiToUiRow(orderDetailData, aSelectableStatuses);
+            refreshedRow.selected = orders[index].selected && refreshedRow.enabled;
+            refreshedRow.enrichmentPending = isEnrichmentRequired(orderDetailData, aSelectableStatuses);
+            orderModel.setProperty("/orders/" + index, refreshedRow);
+            this._updateOrderSummary();
+            this._syncSelection();
+
+            if (refreshedRow.enrichmentPending && this._oSearch) {
+                await this._enrichRows([refreshedRow], this._oSearch);
+            }
+        },
+
+    /**
+     * Handler for the "Discard Order" button.
+     * - Works on exactly one selected order, in a status that allows discarding (see DISCARDABLE_STATUSES).
+     * - Refuses orders with delivered quantity or with SFCs in work, on hold or done (see DISCARD_BLOCKING_SFC_STATUSES).
+     * - Opens the mandatory confirmation dialog: a reason and the re-typed order number are required.
+     */
+        onDiscardOrder: async function () {
+            if (!this._getPluginSettings().showDiscard || !this._checkPermission(ORDER_ACTION.DISCARD)) return;
+            const orderModel = this.getView().getModel("orderModel");
+            const plant = this.getPodController().getUserPlant();
+            const selectedOrders = this._getSelectedOrders();
+
+            if (selectedOrders.length !== 1) {
+                MessageToast.show(this._getText("discard.selectOne"));
+                return;
+            }
+            const orderRow = selectedOrders[0];
+            if (!DISCARDABLE_STATUSES.includes(orderRow.executionStatus)) {
+                MessageToast.show(this._getText("discard.statusNotAllowed",
+                    [DISCARDABLE_STATUSES.map(sStatus => this.formatExecutionStatus(sStatus)).join(", ")]));
+                return;
+            }
+            if (typeof orderRow.doneQuantity === "number" && orderRow.doneQuantity > 0) {
+                MessageToast.show(this._getText("discard.hasDelivered", [orderRow.orderNo]));
+                return;
+            }
+
+            // Open-SFC check: nothing of the order may be in work, on hold or done
+            let sfcs = [];
+            orderModel.setProperty("/actionInProgress", true);
+            this.getView().setBusy(true);
+            try {
+                sfcs = await this._fetchOrderSfcs(plant, orderRow.orderNo);
+            } catch (err) {
+                MessageToast.show(this._getText("discard.sfcCheckFailed", [this._getRestClient().getErrorMessage(err)]));
+                return;
+            } finally {
+                this.getView().setBusy(false);
+                orderModel.setProperty("/actionInProgress", false);
+            }
+
+            const blockingSfcs = sfcs.filter(sfc => DISCARD_BLOCKING_SFC_STATUSES.includes(getSfcStatus(sfc)));
+            if (blockingSfcs.length) {
+                MessageBox.error(this._getText("discard.blockingSfcs",
+                    [orderRow.orderNo, blockingSfcs.map(sfc => `${sfc.sfc} (${getSfcStatus(sfc)})`).join("\n")]),
+                    { title: this._getText("action.discardOrder") });
+                return;
+            }
+
+            const oDialog = await this._getDialog("DiscardOrderDialog");
+            oDialog.setModel(new JSONModel({
+                orderNo: orderRow.orderNo,
+                executionStatus: this.formatExecutionStatus(orderRow.executionStatus),
+                materialLine: formatMaterialLine(orderRow.material, orderRow.materialVersion),
+                sfcsText: sfcs.length ? sfcs.map(sfc => `${sfc.sfc} (${getSfcStatus(sfc) || "-"})`).join(", ") : this._getText("common.none"),
+                reason: "",
+                confirmOrderNo: ""
+            }), "discard");
+            oDialog.open();
+        },
+
+    /**
+     * Handler for the "Cancel" button of the discard confirmation dialog.
+     */
+        onDiscardDialogCancel: function () {
+            this._getDialog("DiscardOrderDialog").then(oDialog => oDialog.close());
+        },
+
+    /**
+     * Handler for the "Discard" button of the confirmation dialog.
+     * - Re-checks that a reason was given and the typed order number matches.
+     * - Calls the Discard Order API with the reason in the request body, and refreshes the table afterwards.
+     */
+        onDiscardDialogConfirm: async function () {
+            const orderModel = this.getView().getModel("orderModel");
+            const plant = this.getPodController().getUserPlant();
+            const oDialog = await this._getDialog("DiscardOrderDialog");
+            const oDiscard = oDialog.getModel("discard").getData();
+            const reason = (oDiscard.reason || "").trim();
+
+            if (!reason || oDiscard.confirmOrderNo.trim() !== oDiscard.orderNo) {
+                MessageToast.show(this._getText("discard.inputRequired"));
+                return;
+            }
+            oDialog.close();
+            if (!this._checkPermission(ORDER_ACTION.DISCARD)) return;
+
+            orderModel.setProperty("/actionInProgress", true);
+            try {
+                const response = await this._postOrderAction(API_PATH.ORDER_DISCARD, plant, oDiscard.orderNo, { reason: reason });
+                Log.info(`Order ${oDiscard.orderNo} discarded in plant ${plant}. Reason: ${reason}`);
+                MessageToast.show((response && response.message) || this._getText("discard.success", [oDiscard.orderNo]));
+                this._publishOrdersChanged("DISCARD", [oDiscard.orderNo]);
+            } catch (error) {
+                if (isForbiddenError(error)) {
+                    this._showMissingPermission(ORDER_ACTION.DISCARD, true);
+                } else {
+                    MessageToast.show(this._getText("discard.failed", [this._getRestClient().getErrorMessage(error)]));
+                }
+            } finally {
+                orderModel.setProperty("/actionInProgress", false);
+            }
+            this._invalidateOrderEnrichment(plant, oDiscard.orderNo);
+            this.onFilterPress(); // Refresh table
+        },
+
+    /**
+     * Handler for the "Close Order" button: closes the selected completed orders (one or many).
+     * - Checks the eligibility of every selected order; only orders in a closable status (COMPLETED) are closed.
+     * - Asks for confirmation, listing the orders that will be skipped and why.
+     * - Closes the orders one after the other (see '_closeOrder') and reports the outcome like "Complete Order".
+     */
+        onCloseOrder: function () {
+            const plant = this.getPodController().getUserPlant();
+            const selectedOrders = this._getSelectedOrders();
+
+            if (!this._checkPermission(ORDER_ACTION.CLOSE)) return;
+            if (!selectedOrders.length) {
+                MessageToast.show(this._getText("close.selectOrder"));
+                return;
+            }
+
+            const closableOrders = selectedOrders.filter(o => CLOSABLE_STATUSES.includes(o.executionStatus));
+            const skippedResults = selectedOrders
+                .filter(o => !CLOSABLE_STATUSES.includes(o.executionStatus))
+                .map(o => ({
+                    orderNo: o.orderNo,
+                    status: ACTION_RESULT.SKIPPED,
+                    message: this._getCloseBlocker(o),
+                    sfcMessage: ""
+                }));
+            if (!closableOrders.length) {
+                MessageBox.error(skippedResults.map(r => r.message).join("\n"), { title: this._getText("action.closeOrder") });
+                return;
+            }
+
+            const confirmLines = [this._getText("close.confirm", [closableOrders.map(o => o.orderNo).join(", ")])];
+            if (skippedResults.length) {
+                confirmLines.push(this._getText("action.confirmSkipped"));
+                skippedResults.forEach(r => confirmLines.push(r.message));
+            }
+            MessageBox.confirm(confirmLines.join("\n"), {
+                title: this._getText("action.closeOrder"),
+                onClose: (sAction) => {
+                    if (sAction === MessageBox.Action.OK && this._checkPermission(ORDER_ACTION.CLOSE)) {
+                        this._runOrderAction(ORDER_ACTION.CLOSE, closableOrders, skippedResults,
+                            orderRow => this._closeOrder(plant, orderRow.orderNo));
+                    }
+                }
+            });
+        },
+
+    /**
+     * Returns why an order cannot be closed.
+     * @param {object} orderRow - Table row of an order that is not in a closable status.
+     * @returns {string}
+     */
+        _getCloseBlocker: function (orderRow) {
+            if (COMPLETE_AND_CLOSE_STATUSES.includes(orderRow.executionStatus)) {
+                return this._getText("close.completeFirst", [orderRow.orderNo]);
+            }
+            return this._getText("close.statusNotAllowed", [orderRow.orderNo, this.formatExecutionStatus(orderRow.executionStatus)]);
+        },
+
+    /**
+     * Runs a confirmed order action (Close, Hold, Release) for the orders one after the other,
+     * then reports the outcome and refreshes the table.
+     * - For a single order without skipped ones, displays the response message of the API as a toast.
+     * - Otherwise ends with the results dialog listing success, skip or failure per order.
+     * @param {string} sAction - ORDER_ACTION value; also published to the POD for the changed orders.
+     * @param {object[]} aOrderRows - Table rows of the eligible orders.
+     * @param {object[]} aSkippedResults - Results of the selected orders that are not eligible.
+     * @param {function(object): Promise<object>} fnRunForOrder - Runs the action for one order row and resolves with its result.
+     * @returns {Promise} - Resolves when all orders are processed.
+     */
+        _runOrderAction: async function (sAction, aOrderRows, aSkippedResults, fnRunForOrder) {
+            const orderModel = this.getView().getModel("orderModel");
+            const results = [];
+            orderModel.setProperty("/actionInProgress", true);
+            try {
+                for (const orderRow of aOrderRows) {
+                    results.push(await fnRunForOrder(orderRow));
+                }
+            } finally {
+                orderModel.setProperty("/actionInProgress", false);
+            }
+
+            const allResults = results.concat(aSkippedResults);
+            if (allResults.length === 1) {
+                MessageToast.show(results[0].message);
+            } else {
+                this._showActionResults(this._getText(ACTION_TEXT_KEY[sAction]), allResults);
+            }
+            this._publishOrdersChanged(sAction, results.filter(r => r.status === ACTION_RESULT.SUCCESS).map(r => r.orderNo));
+            this.onFilterPress(); // Refresh table
+        },
+
+    /**
+     * Splits the selected orders into those an action can run for and skip results (with the reason) for the others.
+     * @param {string[]} aAllowedStatuses - Execution statuses the action is allowed in.
+     * @param {string} sNotAllowedKey - Text key of the skip reason, with the order number and its status as arguments.
+     * @returns {object} - { eligible: table rows, skipped: results with status SKIPPED }.
+     */
+        _splitSelectedOrders: function (aAllowedStatuses, sNotAllowedKey) {
+            const selectedOrders = this._getSelectedOrders();
+            return {
+                eligible: selectedOrders.filter(o => aAllowedStatuses.includes(o.executionStatus)),
+                skipped: selectedOrders
+                    .filter(o => !aAllowedStatuses.includes(o.executionStatus))
+                    .map(o => ({
+                        orderNo: o.orderNo,
+                        status: ACTION_RESULT.SKIPPED,
+                        message: this._getText(sNotAllowedKey, [o.orderNo, this.formatExecutionStatus(o.executionStatus)]),
+                        sfcMessage: ""
+                    }))
+            };
+        },
+
+    /**
+     * Handler for the "Hold" button: puts the selected orders on hold (one or many).
+     * - Only orders in a holdable status (NOT_IN_EXECUTION, ACTIVE) are held; the others are listed as skipped.
+     * - Opens the hold dialog, where a reason code and a comment are required.
+     */
+        onHoldOrder: async function () {
+            if (!this._checkPermission(ORDER_ACTION.HOLD)) return;
+            if (!this._getSelectedOrders().length) {
+                MessageToast.show(this._getText("hold.selectOrder"));
+                return;
+            }
+            const oSplit = this._splitSelectedOrders(HOLDABLE_STATUSES, "hold.statusNotAllowed");
+            if (!oSplit.eligible.length) {
+                MessageBox.error(oSplit.skipped.map(r => r.message).join("\n"), { title: this._getText("action.holdOrder") });
+                return;
+            }
+
+            this._oHoldRequest = oSplit;
+            const oDialog = await this._getDialog("HoldOrderDialog");
+            oDialog.setModel(new JSONModel({
+                ordersText: oSplit.eligible.map(o => o.orderNo).join(", "),
+                skippedText: oSplit.skipped.map(r => r.message).join("\n"),
+                reasonCodes: this._getPluginSettings().holdReasonCodes.map(sCode => ({ key: sCode })),
+                reasonCode: "",
+                comment: ""
+            }), "hold");
+            oDialog.open();
+        },
+
+    /**
+     * Handler for the "Cancel" button of the hold dialog.
+     */
+        onHoldDialogCancel: function () {
+            this._oHoldRequest = null;
+            this._getDialog("HoldOrderDialog").then(oDialog => oDialog.close());
+        },
+
+    /**
+     * Handler for the "Hold" button of the hold dialog: holds the orders with the entered reason code and comment.
+     */
+        onHoldDialogConfirm: async function () {
+            const plant = this.getPodController().getUserPlant();
+            const oDialog = await this._getDialog("HoldOrderDialog");
+            const oHold = oDialog.getModel("hold").getData();
+            const reasonCode = (oHold.reasonCode || "").trim();
+            const comment = (oHold.comment || "").trim();
+
+            if (!reasonCode || !comment) {
+                MessageToast.show(this._getText("hold.inputRequired"));
+                return;
+            }
+            const oRequest = this._oHoldRequest;
+            this._oHoldRequest = null;
+            oDialog.close();
+            if (!oRequest || !this._checkPermission(ORDER_ACTION.HOLD)) return;
+
+            await this._runOrderAction(ORDER_ACTION.HOLD, oRequest.eligible, oRequest.skipped,
+                orderRow => this._holdOrder(plant, orderRow.orderNo, reasonCode, comment));
+        },
+
+    /**
+     * Handler for the "Release" button: takes the selected held orders off hold (one or many), after confirmation.
+     */
+        onReleaseOrder: function () {
+            const plant = this.getPodController().getUserPlant();
+
+            if (!this._checkPermission(ORDER_ACTION.RELEASE)) return;
+            if (!this._getSelectedOrders().length) {
+                MessageToast.show(this._getText("release.selectOrder"));
+                return;
+            }
+            const oSplit = this._splitSelectedOrders(RELEASABLE_STATUSES, "release.statusNotAllowed");
+            if (!oSplit.eligible.length) {
+                MessageBox.error(oSplit.skipped.map(r => r.message).join("\n"), { title: this._getText("action.releaseOrder") });
+                return;
+            }
+
+            const confirmLines = [this._getText("release.confirm", [oSplit.eligible.map(o => o.orderNo).join(", ")])];
+            if (oSplit.skipped.length) {
+                confirmLines.push(this._getText("action.confirmSkipped"));
+                oSplit.skipped.forEach(r => confirmLines.push(r.message));
+            }
+            MessageBox.confirm(confirmLines.join("\n"), {
+                title: this._getText("action.releaseOrder"),
+                onClose: (sAction) => {
+                    if (sAction === MessageBox.Action.OK && this._checkPermission(ORDER_ACTION.RELEASE)) {
+                        this._runOrderAction(ORDER_ACTION.RELEASE, oSplit.eligible, oSplit.skipped,
+                            orderRow => this._releaseOrder(plant, orderRow.orderNo));
+                    }
+                }
+            });
+        },
+
+    /**
+     * Puts one order on hold via the order hold API and reports its outcome.
+     * @param {string} plant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     * @param {string} reasonCode - Hold reason code.
+     * @param {string} comment - Hold comment.
+     * @returns {Promise<object>} - { orderNo, status: SUCCESS|FAILED, message, sfcMessage }.
+     */
+        _holdOrder: async function (plant, orderNo, reasonCode, comment) {
+            const result = { orderNo: orderNo, status: ACTION_RESULT.FAILED, message: "", sfcMessage: "" };
+            try {
+                const response = await this._postOrderAction(API_PATH.ORDER_HOLD, plant, orderNo,
+                    { reasonCode: reasonCode, comment: comment });
+                Log.info(`Order ${orderNo} put on hold in plant ${plant}. Reason code: ${reasonCode}, comment: ${comment}`);
+                result.status = ACTION_RESULT.SUCCESS;
+                result.message = (response && response.message) || this._getText("hold.success", [orderNo]);
+            } catch (error) {
+                result.message = this._getActionErrorMessage(ORDER_ACTION.HOLD, error, this._getText("hold.failed"));
+            }
+            return result;
+        },
+
+    /**
+     * Takes one order off hold via the order release hold API and reports its outcome.
+     * @param {string} plant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     * @returns {Promise<object>} - { orderNo, status: SUCCESS|FAILED, message, sfcMessage }.
+     */
+        _releaseOrder: async function (plant, orderNo) {
+            const result = { orderNo: orderNo, status: ACTION_RESULT.FAILED, message: "", sfcMessage: "" };
+            try {
+                const response = await this._postOrderAction(API_PATH.ORDER_RELEASE_HOLD, plant, orderNo);
+                result.status = ACTION_RESULT.SUCCESS;
+                result.message = (response && response.message) || this._getText("release.success", [orderNo]);
+            } catch (error) {
+                result.message = this._getActionErrorMessage(ORDER_ACTION.RELEASE, error, this._getText("release.failed"));
+            }
+            return result;
+        },
+
+    /**
+     * Closes one order via the Close Order API and reports its outcome instead of showing toasts,
+     * so it can be used for single and bulk closing as well as after completion.
+     * @param {string} plant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     * @returns {Promise<object>} - { orderNo, status: SUCCESS|FAILED, message, sfcMessage }.
+     */
+        _closeOrder: async function (plant, orderNo) {
+            const result = { orderNo: orderNo, status: ACTION_RESULT.FAILED, message: "", sfcMessage: "" };
+            this._invalidateOrderEnrichment(plant, orderNo);
+            try {
+                const response = await this._postOrderAction(API_PATH.ORDER_CLOSE, plant, orderNo);
+                result.status = ACTION_RESULT.SUCCESS;
+                result.message = (response && response.message) || this._getText("close.success", [orderNo]);
+            } catch (error) {
+                result.message = this._getActionErrorMessage(ORDER_ACTION.CLOSE, error, this._getText("close.failed"));
+            }
+            return result;
+        },
+
+    /**
+     * Calls an order action API (complete, close, discard, hold, release hold) the same way for every action:
+     * plant and order as query parameters, any further input of the action in the JSON body.
+     * @param {string} sPath - API_PATH of the action.
+     * @param {string} plant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     * @param {object} [oBody] - Further input of the action, e.g. the hold reason code.
+     * @returns {Promise<*>} - Parsed response body; rejects with a DmRestError.
+     */
+        _postOrderAction: function (sPath, plant, orderNo, oBody) {
+            return this._getRestClient().post(sPath, { plant: plant, order: orderNo }, oBody);
+        },
+
+    /**
+     * Opens the action results dialog listing the outcome of a bulk action per order.
+     * @param {string} sActionTitle - Name of the action, used in the dialog title.
+     * @param {object[]} aResults - Results as returned by the per-order action ({ orderNo, status, message, sfcMessage }).
+     * @returns {Promise} - Resolves when the dialog is open.
+     */
+        _showActionResults: function (sActionTitle, aResults) {
+            const count = status => aResults.filter(r => r.status === status).length;
+            const oData = {
+                title: this._getText("results.title", [sActionTitle]),
+                summary: this._getText("results.summary",
+                    [count(ACTION_RESULT.SUCCESS), count(ACTION_RESULT.SKIPPED), count(ACTION_RESULT.FAILED)]),
+                results: aResults.map(r => Object.assign({}, r, {
+                    message: [r.sfcMessage, r.message].filter(Boolean).join("\n")
+                }))
+            };
+            return this._getDialog("ActionResultDialog").then(oDialog => {
+                oDialog.setModel(new JSONModel(oData), "actionResult");
+                oDialog.open();
+            });
+        },
+
+    /**
+     * Handler for the "Close" button of the action results dialog.
+     */
+        onActionResultDialogClose: function () {
+            this._getDialog("ActionResultDialog").then(oDialog => oDialog.close());
+        },
+
+    /**
+     * Loads a dialog fragment once per view and returns the cached instance afterwards.
+     * The dialog is added as dependent of the view, so it shares its models and lifecycle.
+     * @param {string} sFragmentName - Fragment file name without namespace and '.fragment.xml'.
+     * @returns {Promise<sap.m.Dialog>}
+     */
+        _getDialog: function (sFragmentName) {
+            if (!this._mDialogs[sFragmentName]) {
+                this._mDialogs[sFragmentName] = Fragment.load({
+                    id: this.getView().getId(),
+                    name: FRAGMENT_NAMESPACE + sFragmentName,
+                    controller: this
+                }).then(oDialog => {
+                    this.getView().addDependent(oDialog);
+                    return oDialog;
+                });
+            }
+            return this._mDialogs[sFragmentName];
+        },
+
+
+
+    /**
+     * Handler for the SFCs button in an order row: opens the detail panel listing every SFC of the order.
+     * - Reads the order's SFCs from the order detail API.
+     * - Loads status, quantity, current operation and resource of each SFC from the SFC detail API (limited concurrency).
+     * - The panel opens right away and shows a busy indicator until the data is there.
+     * @param {sap.ui.base.Event} oEvent - Press event of the button in the row.
+     */
+        onShowOrderSfcs: function (oEvent) {
+            const oRow = oEvent.getSource().getBindingContext("orderModel").getObject();
+            this._openOrderSfcs(oRow);
+        },
+
+    /**
+     * Opens the SFC detail panel for an order and loads its SFCs on demand.
+     * @param {object} orderRow - Table row of the order.
+     * @returns {Promise} - Resolves when the SFCs have been loaded (or loading failed).
+     */
+        _openOrderSfcs: async function (orderRow) {
+            const plant = this.getPodController().getUserPlant();
+            const uom = orderRow.uom;
+            const oSfcsModel = new JSONModel({
+                orderNo: orderRow.orderNo,
+                parentSFC: orderRow.parentSFC,
+                busy: true,
+                error: "",
+                sfcs: [],
+                // Quantities of the order next to the SFC quantities behind them, for reconciliation
+                quantitiesText: this._getText("reconcile.orderQuantities", [
+                    formatQuantityWithUom(orderRow.buildQuantity ?? "-", uom),
+                    formatQuantityWithUom(orderRow.doneQuantity ?? "-", uom),
+                    formatQuantityWithUom(orderRow.releasedQuantity ?? "-", uom),
+                    formatQuantityWithUom(orderRow.dmReleasedQuantity ?? "-", uom)
+                ]),
+                sfcTotalsText: "",
+                mismatch: orderRow.quantityMismatch
+            });
+            const oDialog = await this._getDialog("OrderSfcsDialog");
+            oDialog.setModel(oSfcsModel, "orderSfcs");
+            oDialog.open();
+
+            // Only the latest opened order may write into the panel
+            const oRequest = this._oSfcPanelRequest = {};
+            try {
+                const sfcRows = await this._loadOrderSfcRows(plant, orderRow.orderNo, orderRow.parentSFC);
+                if (oRequest !== this._oSfcPanelRequest) return;
+                oSfcsModel.setProperty("/sfcs", sfcRows);
+                const validRows = sfcRows.filter(r => r.status !== "INVALID");
+                oSfcsModel.setProperty("/sfcTotalsText", this._getText("reconcile.sfcQuantities", [
+                    formatQuantityWithUom(validRows.reduce((total, r) => addQuantity(total, r.quantity), 0), uom),
+                    formatQuantityWithUom(validRows.filter(r => r.status === "DONE").reduce((total, r) => addQuantity(total, r.quantity), 0), uom)
+                ]));
+            } catch (err) {
+                if (oRequest !== this._oSfcPanelRequest) return;
+                oSfcsModel.setProperty("/error", this._getText("sfcs.loadFailed", [this._getRestClient().getErrorMessage(err)]));
+            } finally {
+                if (oRequest === this._oSfcPanelRequest) {
+                    oSfcsModel.setProperty("/busy", false);
+                }
+            }
+        },
+
+    /**
+     * Loads the SFCs of an order with their current details for the SFC detail panel.
+     * SFCs whose detail could not be read are still listed, with "-" values.
+     * @param {string} plant - Plant of the order.
+     * @param {string} orderNo - Order number.
+     * @param {string} parentSFC - Parent SFC of the order (marked in the list), or "-".
+     * @returns {Promise<object[]>} - { sfc, isParent, status, quantity, operation, resource } per SFC.
+     */
+        _loadOrderSfcRows: async function (plant, orderNo, parentSFC) {
+            const orderDetailData = await this._fetchOrderDetail(plant, orderNo);
+            if (!orderDetailData) throw new Error(this._getText("rest.emptyResponse"));
+            const sfcs = Array.isArray(orderDetailData.sfcs) ? orderDetailData.sfcs : [];
+
+            const sfcRows = sfcs.map(sfc => ({
+                sfc: sfc,
+                isParent: sfc === parentSFC,
+                status: "-",
+                quantity: "-",
+                operation: "-",
+                resource: "-"
+            }));
+            await runWithConcurrency(sfcRows, SFC_DETAIL_CONCURRENCY, async (sfcRow) => {
+                const sfcDetail = await this._fetchSfcDetail(plant, sfcRow.sfc);
+                if (!sfcDetail) return;
+                const currentStep = getSfcCurrentStep(sfcDetail);
+                sfcRow.status = getSfcStatus(sfcDetail) || "-";
+                sfcRow.quantity = (sfcDetail.quantity !== undefined && sfcDetail.quantity !== null) ? sfcDetail.quantity : "-";
+                sfcRow.operation = currentStep.operation || "-";
+                sfcRow.resource = currentStep.resource || "-";
+            });
+            return sfcRows;
+        },
+
+    /**
+     * Handler for the "Close" button of the SFC detail panel.
+     */
+        onOrderSfcsDialogClose: function () {
+            this._oSfcPanelRequest = null;
+            this._getDialog("OrderSfcsDialog").then(oDialog => oDialog.close());
+        },
+
+    /**
+     * Handler for when an order's checkbox is selected or deselected in the orders table.
+     * The checkbox is bound to the row's 'selected' flag; this keeps the selection summary in the model up to date
+     * and publishes the selected orders to the other plugins of the POD.
+     */          
+        onOrderSelect: function () {
+            this._syncSelection();
+            this._publishOrderSelection();
+        },
+
+    /**
+     * Handler for the checkbox in the table header: selects or deselects all enabled (loaded) orders.
+     * @param {sap.ui.base.Event} oEvent - Select event of the header checkbox.
+     */
+        onSelectAllOrders: function (oEvent) {
+            const bSelected = oEvent.getParameter("selected");
+            const orderModel = this.getView().getModel("orderModel");
+            const orders = orderModel.getProperty("/orders") || [];
+            orders.forEach(o => {
+                o.selected = bSelected && o.enabled;
+            });
+            orderModel.refresh();
+            this._syncSelection();
+            this._publishOrderSelection();
+        },
+
+    /**
+     * Returns the table rows currently selected via their checkbox.
+     * @returns {object[]} - Selected rows from 'orderModel>/orders'.
+     */
+        _getSelectedOrders: function () {
+            const orders = this.getView().getModel("orderModel").getProperty("/orders") || [];
+            return orders.filter(o => o.selected);
+        },
+
+    /**
+     * Updates the selection summary in the model from the rows' 'selected' flags.
+     * - '/selectedCount' and '/allSelected' drive the header checkbox.
+     * - '/selectedOrderNo' and '/selectedExecutionStatus' are only set when exactly one order is selected,
+     *   for actions that work on a single order.
+     */
+        _syncSelection: function () {
+            const orderModel = this.getView().getModel("orderModel");
+            const orders = orderModel.getProperty("/orders") || [];
+            const selectedOrders = orders.filter(o => o.selected);
+            const single = selectedOrders.length === 1 ? selectedOrders[0] : null;
+
+            orderModel.setProperty("/selectedCount", selectedOrders.length);
+            orderModel.setProperty("/allSelected", selectedOrders.length > 0 && selectedOrders.length === orders.filter(o => o.enabled).length);
+            orderModel.setProperty("/selectedOrderNo", single ? single.orderNo : "");
+            orderModel.setProperty("/selectedExecutionStatus", single ? single.executionStatus : "");
+        },
+
+    // === Order summary and reconciliation ===
+
+    /**
+     * Handler for the reconciliation toggle: highlights (or stops highlighting) orders whose quantities disagree.
+     */
+        onReconciliationToggle: function () {
+            this._updateOrderSummary();
+        },
+
+    /**
+     * Updates the summary header from the loaded orders: count per execution status and quantity totals per UOM.
+     * In reconciliation mode, also sets each row's 'quantityMismatch' text (see 'getQuantityMismatches') and counts them.
+     */
+        _updateOrderSummary: function () {
+            const orderModel = this.getView().getModel("orderModel");
+            const orders = orderModel.getProperty("/orders") || [];
+            const oReconciliation = orderModel.getProperty("/reconciliation");
+
+            const mStatusCounts = {};
+            const mUomTotals = {};
+            let mismatchCount = 0;
+            orders.forEach(row => {
+                mStatusCounts[row.executionStatus] = (mStatusCounts[row.executionStatus] || 0) + 1;
+
+                const totals = mUomTotals[row.uom] || (mUomTotals[row.uom] = { build: 0, done: 0, released: 0, dmReleased: 0, available: 0 });
+                totals.build = addQuantity(totals.build, row.buildQuantity);
+                totals.done = addQuantity(totals.done, row.doneQuantity);
+                totals.released = addQuantity(totals.released, row.releasedQuantity);
+                totals.dmReleased = addQuantity(totals.dmReleased, row.dmReleasedQuantity);
+                totals.available = addQuantity(totals.available, row.availableQuantity);
+
+                const mismatches = oReconciliation.active ? getQuantityMismatches(row, oReconciliation.tolerancePercent) : [];
+                row.quantityMismatch = mismatches
+                    .map(m => this._getText(m.key, m.args.map(q => formatQuantityWithUom(q, row.uom))))
+                    .join("\n");
+                if (mismatches.length) mismatchCount++;
+            });
+
+            orderModel.setProperty("/summary", {
+                statusCounts: Object.keys(mStatusCounts).sort().map(sStatus => ({ status: sStatus, count: mStatusCounts[sStatus] })),
+                uomTotals: Object.keys(mUomTotals).sort().map(uom => ({
+                    uom: uom,
+                    text: this._getText("summary.uomTotals", [
+                        uom || "-",
+                        formatQuantityWithUom(mUomTotals[uom].build, uom),
+                        formatQuantityWithUom(mUomTotals[uom].done, uom),
+                        formatQuantityWithUom(mUomTotals[uom].released, uom),
+                        formatQuantityWithUom(mUomTotals[uom].dmReleased, uom),
+                        formatQuantityWithUom(mUomTotals[uom].available, uom)
+                    ])
+                })),
+                mismatchCount: mismatchCount
+            });
+            // Row texts were changed in place; let the row bindings pick them up
+            orderModel.refresh();
+        },
+
+    // === Texts and formatters ===
+
+    /**
+     * Returns the resource bundle of the order view texts.
+     * @returns {module:sap/base/i18n/ResourceBundle}
+     */
+        _getResourceBundle: function () {
+            return this.getView().getModel("i18n").getResourceBundle();
+        },
+
+    /**
+     * Returns a text of the order view in the user's language.
+     * @param {string} sKey - Text key from i18n.properties.
+     * @param {any[]} [aArgs] - Values for the placeholders {0}, {1}, ...
+     * @returns {string}
+     */
+        _getText: function (sKey, aArgs) {
+            return this._getResourceBundle().getText(sKey, aArgs);
+        },
+
+    /**
+     * Formatter for texts with placeholders, e.g. {parts: ['i18n>paging.showing', 'orderModel>/paging/fetchedCount', ...]}.
+     */
+        formatMessage: formatMessage,
+
+    /**
+     * Formatter for the "Items (NN)" heading above the orders table: the number of rows in the table.
+     * @param {number} iCount - Rows in the table (zero padded to two digits).
+     * @returns {string}
+     */
+        formatItemsHeading: function (iCount) {
+            return this._getText("table.heading", [String(iCount || 0).padStart(2, "0")]);
+        },
+
+    /**
+     * Formatter for an execution status key (e.g. "NOT_IN_EXECUTION"): its translated name, or the key itself if unknown.
+     * @param {string} sStatus - Execution status key.
+     * @returns {string}
+     */
+        formatExecutionStatus: function (sStatus) {
+            const oBundle = this._getResourceBundle();
+            const sKey = "status." + sStatus;
+            return (sStatus && oBundle.hasText(sKey)) ? oBundle.getText(sKey) : (sStatus || "-");
+        },
+
+    /**
+     * Formatter for a plain number in the user's locale (e.g. SFC quantities); other values are shown as they are.
+     * @param {number|string} value - Number.
+     * @returns {string}
+     */
+        formatNumber: function (value) {
+            return typeof value === "number" ? QUANTITY_FORMAT.format(value) : (value ?? "");
+        },
+
+    /**
+     * Formatter for the Complete button: "Complete Order", or "Complete Orders (N)" when several orders are selected.
+     * @param {number} iSelectedCount - Number of selected orders.
+     * @returns {string}
+     */
+        formatCompleteButtonText: function (iSelectedCount) {
+            return iSelectedCount > 1 ? this._getText("action.completeOrders", [iSelectedCount]) : this._getText("action.completeOrder");
+        },
+
+    /**
+     * Formatter for the Parent SFC tooltip: lists the candidates when the Parent SFC is ambiguous.
+     * @param {boolean} bAmbiguous - Parent SFC is ambiguous.
+     * @param {string} sCandidates - Comma separated candidates.
+     * @returns {string}
+     */
+        formatParentSfcTooltip: function (bAmbiguous, sCandidates) {
+            return bAmbiguous ? this._getText("table.parentSfcAmbiguous", [sCandidates]) : "";
+        },
+
+    /**
+     * Formatter for an entry of the variant Select, marking the default variant.
+     * @param {string} sName - Variant name.
+     * @param {boolean} bDefault - Variant is the default one.
+     * @returns {string}
+     */
+        formatVariantName: function (sName, bDefault) {
+            return bDefault ? this._getText("filter.variant.defaultName", [sName]) : sName;
+        },
+
+    /**
+     * Formatter for the result of an action per order (ACTION_RESULT value) in the results dialog.
+     * @param {string} sResult - SUCCESS, SKIPPED or FAILED.
+     * @returns {string}
+     */
+        formatActionResult: function (sResult) {
+            return sResult ? this._getText("results." + sResult) : "";
+        },
+
+    /**
+     * Formatter for the state of a completion step (PENDING, RUNNING, SUCCEEDED, FAILED).
+     * @param {string} sState - STEP_STATE value.
+     * @returns {string}
+     */
+        formatStepState: function (sState) {
+            return sState ? this._getText("progress.state." + sState) : "";
+        },
+
+    /**
+     * Formatter for quantity cells: number with UOM, "…" while the value is still being looked up, "-" if unknown.
+     * @param {number|null} value - Quantity.
+     * @param {string} uom - Unit of Measure of the order.
+     * @param {boolean} [bPending] - True while the value is still being looked up.
+     * @returns {string}
+     */
+        formatQuantity: function (value, uom, bPending) {
+            if (bPending) return "…";
+            return (value === null || value === undefined) ? "-" : formatQuantityWithUom(value, uom);
+        },
+
+    /**
+     * Formatter for the material cell, e.g. "MAT-100 / A".
+     * @param {string} material - Material number.
+     * @param {string} version - Material version.
+     * @returns {string}
+     */
+        formatMaterialLine: function (material, version) {
+            return formatMaterialLine(material, version);
+        },
+
+    /**
+     * Formatter for the scheduled dates cell: start and completion date on two lines, in the plant's time zone.
+     * @param {Date|null} startDate - Scheduled start.
+     * @param {Date|null} completionDate - Scheduled completion.
+     * @returns {string}
+     */
+        formatScheduledDates: function (startDate, completionDate) {
+            const sTimeZone = this._getPlantTimeZone();
+            return formatDate(startDate, sTimeZone) + "\n" + formatDate(completionDate, sTimeZone);
+        },
+
+    // === Filter variants ===
+
+    /**
+     * Loads the filter variants of the user for the current plant (once per controller),
+     * applies the default variant and runs its search if it has criteria.
+     */
+        _initFilterVariants: function () {
+            if (this._bFilterVariantsInitialized) return;
+            this._bFilterVariantsInitialized = true;
+
+            const oStored = this._readFilterVariants();
+            this._updateFilterVariantList(oStored, oStored.defaultKey);
+            const oDefault = oStored.variants.find(v => v.key === oStored.defaultKey);
+            if (oDefault) {
+                this._applyFilterValues(oDefault.filters);
+                if (hasFilterCriteria(oDefault.filters)) {
+                    this.onFilterPress();
+                }
+            }
+        },
+
+    /**
+     * Handler for the variant Select: applies the chosen variant's filters and searches if it has criteria.
+     */
+        onFilterVariantChange: function () {
+            const sKey = this.getView().getModel("filterBar").getProperty("/selectedVariantKey");
+            const oVariant = this._readFilterVariants().variants.find(v => v.key === sKey);
+            const oFilters = oVariant ? oVariant.filters : createEmptyFilterValues();
+            this._applyFilterValues(oFilters);
+            if (hasFilterCriteria(oFilters)) {
+                this.onFilterPress();
+            }
+        },
+
+    /**
+     * Handler for "Save As…" in the variant menu: asks for the name of a variant with the current filter values.
+     */
+        onSaveFilterVariantPress: async function () {
+            if (!this._checkFilterVariantsStorable()) return;
+            const oFilters = this._readFilterValues();
+            if (!hasFilterCriteria(oFilters)) {
+                MessageToast.show(this._getText("variant.criteriaRequired"));
+                return;
+            }
+            const oDialog = await this._getDialog("SaveFilterVariantDialog");
+            const oSaveModel = new JSONModel({ name: "", exists: false, isDefault: false });
+            // Tell the user early when the name would overwrite an existing variant
+            const aNames = this._readFilterVariants().variants.map(v => v.name.toLowerCase());
+            oSaveModel.attachPropertyChange(() => {
+                oSaveModel.setProperty("/exists", aNames.includes(oSaveModel.getProperty("/name").trim().toLowerCase()));
+            });
+            oDialog.setModel(oSaveModel, "saveVariant");
+            oDialog.open();
+        },
+
+    /**
+     * Handler for "Cancel" of the save variant dialog.
+     */
+        onSaveFilterVariantCancel: function () {
+            this._getDialog("SaveFilterVariantDialog").then(oDialog => oDialog.close());
+        },
+
+    /**
+     * Handler for "Save" of the save variant dialog.
+     * Saves the current filter values under the given name (overwriting a variant with the same name) and selects it.
+     */
+        onSaveFilterVariantConfirm: async function () {
+            const oDialog = await this._getDialog("SaveFilterVariantDialog");
+            const oInput = oDialog.getModel("saveVariant").getData();
+            const sName = oInput.name.trim();
+            const sStandardName = this._getText("filter.variant.standard");
+            if (!sName || sName.toLowerCase() === sStandardName.toLowerCase()) {
+                MessageToast.show(this._getText("variant.nameInvalid", [sStandardName]));
+                return;
+            }
+
+            const oStored = this._readFilterVariants();
+            let oVariant = oStored.variants.find(v => v.name.toLowerCase() === sName.toLowerCase());
+            if (!oVariant) {
+                oVariant = { key: "V" + Date.now().toString(36), name: sName };
+                oStored.variants.push(oVariant);
+            }
+            oVariant.name = sName;
+            oVariant.filters = this._readFilterValues();
+            if (oInput.isDefault) {
+                oStored.defaultKey = oVariant.key;
+            }
+
+            this._writeFilterVariants(oStored);
+            this._updateFilterVariantList(oStored, oVariant.key);
+            oDialog.close();
+            MessageToast.show(this._getText("variant.saved", [sName]));
+        },
+
+    /**
+     * Handler for "Set as Default" in the variant menu: the selected variant runs when the plugin opens.
+     */
+        onSetDefaultFilterVariantPress: function () {
+            if (!this._checkFilterVariantsStorable()) return;
+            const sKey = this.getView().getModel("filterBar").getProperty("/selectedVariantKey");
+            const oStored = this._readFilterVariants();
+            oStored.defaultKey = sKey;
+            this._writeFilterVariants(oStored);
+            this._updateFilterVariantList(oStored, sKey);
+        },
+
+    /**
+     * Tells the user that variants cannot be saved when the POD user is not known (see '_getUserSettingsKey').
+     * @returns {boolean} - true if variants can be saved.
+     */
+        _checkFilterVariantsStorable: function () {
+            if (this._getFilterVariantsStorageKey()) return true;
+            MessageToast.show(this._getText("variant.userUnknown"));
+            return false;
+        },
+
+    /**
+     * Handler for "Delete" in the variant menu: deletes the selected variant after confirmation.
+     * If it was the default, the Standard variant becomes the default.
+     */
+        onDeleteFilterVariantPress: function () {
+            const sKey = this.getView().getModel("filterBar").getProperty("/selectedVariantKey");
+            const oStored = this._readFilterVariants();
+            const oVariant = oStored.variants.find(v => v.key === sKey);
+            if (!oVariant) return;
+
+            MessageBox.confirm(this._getText("variant.deleteConfirm", [oVariant.name]), {
+                title: this._getText("variant.deleteTitle"),
+                onClose: (sAction) => {
+                    if (sAction !== MessageBox.Action.OK) return;
+                    oStored.variants = oStored.variants.filter(v => v.key !== sKey);
+                    if (oStored.defaultKey === sKey) {
+                        oStored.defaultKey = STANDARD_VARIANT_KEY;
+                    }
+                    this._writeFilterVariants(oStored);
+                    this._updateFilterVariantList(oStored, STANDARD_VARIANT_KEY);
+                }
+            });
+        },
+
+    /**
+     * Reads the current values of the filter bar.
+     * Custom dates are kept as "YYYY-MM-DD" days; with a relative range only the range key is kept.
+     * @returns {object} - Filter values, see 'createEmptyFilterValues'.
+     */
+        _readFilterValues: function () {
+            const filterBarModel = this.getView().getModel("filterBar");
+            const dateRange = filterBarModel.getProperty("/dateRange");
+            const material = this.byId("materialInput").getValue().trim();
+            const orderNumber = this.byId("orderNoInput").getValue().trim();
+            const { materialKey, orderKey } = this._getValueHelpKeys(material, orderNumber);
+            return {
+                material: material,
+                materialKey: materialKey,
+                executionStatus: this.byId("executionStatusSelect").getSelectedKey(),
+                orderNumber: orderNumber,
+                orderKey: orderKey,
+                dateRange: dateRange,
+                dateRangeMode: filterBarModel.getProperty("/dateRangeMode"),
+                dateFrom: dateRange ? null : toIsoDay(parseDatePickerValue(this.byId("dateFromInput"))),
+                dateTo: dateRange ? null : toIsoDay(parseDatePickerValue(this.byId("dateToInput")))
+            };
+        },
+
+    /**
+     * Writes filter values (e.g. of a variant) into the filter bar.
+     * @param {object} oFilters - Filter values from '_readFilterValues' or 'createEmptyFilterValues'.
+     */
+        _applyFilterValues: function (oFilters) {
+            const oValues = Object.assign(createEmptyFilterValues(), oFilters);
+            this.byId("materialInput").setValue(oValues.material);
+            this.byId("executionStatusSelect").setSelectedKey(oValues.executionStatus);
+            this.byId("orderNoInput").setValue(oValues.orderNumber);
+            this.getView().getModel("filterBar").setProperty("/materialKey", oValues.materialKey);
+            this.getView().getModel("filterBar").setProperty("/orderKey", oValues.orderKey);
+            this.getView().getModel("filterBar").setProperty("/dateRange", oValues.dateRange);
+            this.getView().getModel("filterBar").setProperty("/dateRangeMode", oValues.dateRangeMode);
+            this.byId("dateFromInput").setDateValue(fromIsoDay(oValues.dateFrom));
+            this.byId("dateToInput").setDateValue(fromIsoDay(oValues.dateTo));
+        },
+
+    /**
+     * Reads the user's saved filter variants for the current plant.
+     * @returns {object} - { defaultKey, variants: [{ key, name, filters }] } (without the Standard variant).
+     */
+        _readFilterVariants: function () {
+            const sKey = this._getFilterVariantsStorageKey();
+            const oStored = (sKey && this._oUserStorage.get(sKey)) || {};
+            return {
+                defaultKey: oStored.defaultKey || STANDARD_VARIANT_KEY,
+                variants: Array.isArray(oStored.variants) ? oStored.variants : []
+            };
+        },
+
+    /**
+     * Saves the user's filter variants for the current plant.
+     * @param {object} oStored - { defaultKey, variants }.
+     */
+        _writeFilterVariants: function (oStored) {
+            const sKey = this._getFilterVariantsStorageKey();
+            if (sKey) {
+                this._oUserStorage.put(sKey, oStored);
+            }
+        },
+
+    /**
+     * Storage key of the filter variants: per user (see '_getUserSettingsKey') and per plant.
+     * @returns {string|null} - null if the user is not known.
+     */
+        _getFilterVariantsStorageKey: function () {
+            return this._getUserSettingsKey(`${FILTER_VARIANTS_KEY}.${this.getPodController().getUserPlant()}`);
+        },
+
+    /**
+     * Updates the variant Select: Standard first, then the saved variants by name, the default one marked.
+     * @param {object} oStored - { defaultKey, variants }.
+     * @param {string} sSelectedKey - Variant to select.
+     */
+        _updateFilterVariantList: function (oStored, sSelectedKey) {
+            const aVariants = [{ key: STANDARD_VARIANT_KEY, name: this._getText("filter.variant.standard") }]
+                .concat(oStored.variants.slice().sort((a, b) => a.name.localeCompare(b.name)))
+                .map(v => ({ key: v.key, name: v.name, isDefault: v.key === oStored.defaultKey }));
+            const filterBarModel = this.getView().getModel("filterBar");
+            filterBarModel.setProperty("/variants", aVariants);
+            filterBarModel.setProperty("/selectedVariantKey", sSelectedKey);
+        },
+
+    // === Permissions ===
+
+    /**
+     * Reads the roles of the logged-in user from the POD controller and updates the 'permissions' model.
+     * If the POD controller does not provide the roles, actions restricted to roles are not available (unrestricted
+     * ones are), and 'permissions>/rolesUnknown' tells the view to explain why if any action is restricted.
+     * @returns {Promise} - Resolves when the permissions are updated.
+     */
+        _initPermissions: async function () {
+            const podController = this.getPodController && this.getPodController();
+            let aRoles = null;
+            try {
+                if (podController && podController.getUserRoles) {
+                    aRoles = await podController.getUserRoles();
+                }
+            } catch (err) {
+                Log.warning("Roles of the user could not be read", err && err.message);
+            }
+            this._aUserRoles = Array.isArray(aRoles) ? normalizeUserRoles(aRoles) : null;
+            const bAnyRestricted = Object.values(ORDER_ACTION).some(sAction => this._getAllowedRoles(sAction).length > 0);
+            if (!this._aUserRoles && bAnyRestricted) {
+                Log.error("Roles of the user are not known; actions restricted to roles are not available");
+            }
+            this.getView().getModel("permissions").setData(
+                Object.assign(this._getActionPermissions(), { rolesUnknown: !this._aUserRoles && bAnyRestricted }));
+        },
+
+    /**
+     * Returns the roles allowed to run an action, from the plugin configuration (see ACTION_ROLES_PROPERTY).
+     * @param {string} sAction - ORDER_ACTION value.
+     * @returns {string[]} - Allowed roles; empty if the action is not restricted.
+     */
+        _getAllowedRoles: function (sAction) {
+            const oConfig = (this.getConfiguration && this.getConfiguration()) || {};
+            return parseStatusList(oConfig[ACTION_ROLES_PROPERTY[sAction]], []);
+        },
+
+    /**
+     * Tells whether the user may run an action: it is not restricted, or the user's roles are known
+     * and include one of the allowed roles.
+     * @param {string} sAction - ORDER_ACTION value.
+     * @returns {boolean}
+     */
+        _hasPermission: function (sAction) {
+            const aAllowedRoles = this._getAllowedRoles(sAction);
+            if (!aAllowedRoles.length) return true;
+            return !!this._aUserRoles && aAllowedRoles.some(sRole => this._aUserRoles.includes(sRole));
+        },
+
+    /**
+     * Returns the permission of every order action, as bound under 'permissions>/'.
+     * @returns {object} - { COMPLETE, ADJUST_QTY, DISCARD, CLOSE, HOLD, RELEASE } flags.
+     */
+        _getActionPermissions: function () {
+            const oPermissions = {};
+            Object.values(ORDER_ACTION).forEach(sAction => {
+                oPermissions[sAction] = this._hasPermission(sAction);
+            });
+            return oPermissions;
+        },
+
+    /**
+     * Re-checks the permission of an action before it calls the API, and explains a missing permission.
+     * @param {string} sAction - ORDER_ACTION value.
+     * @returns {boolean} - true if the action may run.
+     */
+        _checkPermission: function (sAction) {
+            if (this._hasPermission(sAction)) return true;
+            this._showMissingPermission(sAction, false);
+            return false;
+        },
+
+    /**
+     * Explains to the user that an action is not allowed.
+     * @param {string} sAction - ORDER_ACTION value.
+     * @param {boolean} bRefusedByServer - true if DM refused the API call (HTTP 403), false if the plugin's role check failed.
+     */
+        _showMissingPermission: function (sAction, bRefusedByServer) {
+            MessageBox.error(this._getPermissionText(sAction, bRefusedByServer), {
+                title: this._getText("permission.title")
+            });
+        },
+
+    /**
+     * Returns the message for a failed action call; a missing authorization is explained instead of the raw 403 message.
+     * @param {string} sAction - ORDER_ACTION value.
+     * @param {Error} oError - Error of the API call.
+     * @param {string} [sFallback] - Message used if the error has none.
+     * @returns {string}
+     */
+        _getActionErrorMessage: function (sAction, oError, sFallback) {
+            return isForbiddenError(oError)
+                ? this._getPermissionText(sAction, true)
+                : this._getRestClient().getErrorMessage(oError, sFallback);
+        },
+
+    /**
+     * Returns the text explaining a missing permission for an action.
+     * @param {string} sAction - ORDER_ACTION value.
+     * @param {boolean} bRefusedByServer - true if DM refused the API call, false if the plugin's role check failed.
+     * @returns {string}
+     */
+        _getPermissionText: function (sAction, bRefusedByServer) {
+            const sActionText = this._getText(ACTION_TEXT_KEY[sAction]);
+            if (bRefusedByServer) {
+                return this._getText("permission.refusedByServer", [sActionText, this.getPodController().getUserPlant()]);
+            }
+            if (!this._aUserRoles) {
+                return this._getText("permission.rolesUnknown");
+            }
+            return this._getText("permission.missingRole", [sActionText, this._getAllowedRoles(sAction).join(", ")]);
+        },
+
+    // === POD events ===
+
+    /**
+     * Handler for selection events of the POD (e.g. an order or SFC selected in a worklist plugin).
+     * Pre-fills the filter bar with the selected order (the order of the selected SFC, if only an SFC is given)
+     * and runs the search. Own events and selections while an action is running are ignored.
+     * @param {string} sChannelId - Event channel.
+     * @param {string} sEventId - Event name.
+     * @param {object} oData - Event data.
+     */
+        onPodSelectionChangeEvent: function (sChannelId, sEventId, oData) {
+            if (this.isEventFiredByThisPlugin && this.isEventFiredByThisPlugin(oData)) return;
+            if (this.getView().getModel("orderModel").getProperty("/actionInProgress")) return;
+
+            const oKeys = getPodSelectionKeys(oData, this.getPodSelectionModel && this.getPodSelectionModel());
+            if (oKeys) {
+                this._searchPodSelection(oKeys);
+            }
+        },
+
+    /**
+     * Searches for the order of a POD selection, found exactly like an order picked from the value help.
+     * @param {object} oKeys - { order, sfc } of the selection.
+     * @returns {Promise} - Resolves when the search has started.
+     */
+        _searchPodSelection: async function (oKeys) {
+            let order = oKeys.order;
+            if (!order) {
+                try {
+                    order = getSfcOrder(await this._fetchSfcDetail(this.getPodController().getUserPlant(), oKeys.sfc));
+                } catch (err) {
+                    Log.warning(`Order of the selected SFC ${oKeys.sfc} could not be read`, this._getRestClient().getErrorMessage(err));
+                }
+            }
+            if (!order) {
+                MessageToast.show(this._getText("pod.sfcOrderUnknown", [oKeys.sfc]));
+                return;
+            }
+            this._applyFilterValues(Object.assign(createEmptyFilterValues(), { orderNumber: order, orderKey: order }));
+            this.onFilterPress();
+        },
+
+    /**
+     * Tells the other plugins of the POD which orders are selected here, with their Parent SFC
+     * ("" while it is still being looked up or not known).
+     */
+        _publishOrderSelection: function () {
+            this.publish(POD_EVENT.ORDER_SELECT, {
+                source: this,
+                sendToAllPages: true,
+                selections: this._getSelectedOrders().map(o => ({
+                    order: o.orderNo,
+                    sfc: (o.enrichmentPending || o.parentSFC === "-") ? "" : o.parentSFC
+                }))
+            });
+        },
+
+    /**
+     * Tells the other plugins of the POD that orders were changed by an action, so they reload their data.
+     * @param {string} sAction - Action that changed the orders: "COMPLETE", "CLOSE", "HOLD", "RELEASE", "DISCARD" or "ADJUST_QUANTITY".
+     * @param {string[]} aOrderNos - Changed orders; nothing is published for an empty list.
+     */
+        _publishOrdersChanged: function (sAction, aOrderNos) {
+            if (!aOrderNos.length) return;
+            this.publish(POD_EVENT.REFRESH, {
+                source: this,
+                sendToAllPages: true,
+                action: sAction,
+                orders: aOrderNos
+            });
+        },
+
+    // === Auto-refresh ===
+
+    /**
+     * Restores the user's auto-refresh interval and starts the timer.
+     */
+        _initAutoRefresh: function () {
+            const sKey = this._getUserSettingsKey(AUTO_REFRESH_KEY);
+            const sInterval = (sKey && this._oUserStorage.get(sKey)) || AUTO_REFRESH_OFF;
+            this.getView().getModel("orderModel").setProperty("/autoRefresh/interval", sInterval);
+            this._scheduleAutoRefresh();
+        },
+
+    /**
+     * Handler for the auto-refresh interval Select: saves the interval for the user and restarts the timer.
+     */
+        onAutoRefreshChange: function () {
+            const sInterval = this.getView().getModel("orderModel").getProperty("/autoRefresh/interval");
+            const sKey = this._getUserSettingsKey(AUTO_REFRESH_KEY);
+            if (sKey) {
+                this._oUserStorage.put(sKey, sInterval);
+            }
+            this._scheduleAutoRefresh();
+        },
+
+    /**
+     * (Re)starts the auto-refresh timer for one interval; stops it when auto-refresh is off.
+     */
+        _scheduleAutoRefresh: function () {
+            clearTimeout(this._iAutoRefreshTimer);
+            this._iAutoRefreshTimer = null;
+            const iSeconds = Number(this.getView().getModel("orderModel").getProperty("/autoRefresh/interval"));
+            if (iSeconds > 0) {
+                this._iAutoRefreshTimer = setTimeout(() => this._onAutoRefreshTimer(), iSeconds * 1000);
+            }
+        },
+
+    /**
+     * Runs when the auto-refresh interval has passed: refreshes the current search, then waits for the next interval.
+     * The refresh is skipped (not queued) while it would get in the way:
+     * an action or a dialog is open, a page is loading, no search has run yet, or the browser tab is hidden.
+     */
+        _onAutoRefreshTimer: function () {
+            const orderModel = this.getView().getModel("orderModel");
+            const bDialogOpen = this.getView().getDependents().some(oDependent => oDependent.isOpen && oDependent.isOpen());
+            if (!this._oSearch || orderModel.getProperty("/actionInProgress") || bDialogOpen
+                || orderModel.getProperty("/paging/busy") || document.hidden) {
+                this._scheduleAutoRefresh();
+                return;
+            }
+            this._refreshCurrentSearch(this._oSearch)
+                .catch(err => Log.warning("Auto-refresh of the orders failed", this._getRestClient().getErrorMessage(err)))
+                .finally(() => this._scheduleAutoRefresh());
+        },
+
+    /**
+     * Re-runs a search for all pages loaded so far and replaces the table rows, without a reset:
+     * - Selection and scroll position are kept.
+     * - Rows whose execution status or quantities changed since the previous refresh are marked 'changed' (highlighted).
+     * - Parent SFC / DM Released Qty are looked up again in the background; changed orders bypass the cache.
+     * Results are dropped if the user started a new search meanwhile.
+     * @param {object} oSearch - Current search as stored by 'onFilterPress'.
+     * @returns {Promise} - Resolves when the rows have been replaced; rejects with a DmRestError if a page failed.
+     */
+        _refreshCurrentSearch: async function (oSearch) {
+            const orderModel = this.getView().getModel("orderModel");
+            orderModel.setProperty("/paging/busy", true);
+            try {
+                let apiContent = [];
+                let totalElements = 0;
+                let totalPages = 0;
+                let iPage = 0;
+                do {
+                    const apiData = (await this._getRestClient().get(API_PATH.ORDER_LIST,
+                        Object.assign({}, oSearch.params, { size: oSearch.pageSize, page: iPage }))) || {};
+                    if (oSearch !== this._oSearch) return;
+                    apiContent = apiContent.concat(apiData.content || []);
+                    totalElements = typeof apiData.totalElements === "number" ? apiData.totalElements : apiContent.length;
+                    totalPages = typeof apiData.totalPages === "number" ? apiData.totalPages : iPage + 1;
+                    iPage++;
+                } while (iPage < oSearch.nextPage && iPage < totalPages);
+
+                const aNewRows = applyClientSideFilters(apiContent, oSearch.filters).map(orderObj => {
+                    const mappedOrder = mapOrderApiToUiRow(orderObj, oSearch.selectableStatuses);
+                    mappedOrder.enrichmentPending = isEnrichmentRequired(orderObj, oSearch.selectableStatuses);
+                    return mappedOrder;
+                });
+                // Rows that need the lookup, taken before the merge resets 'enrichmentPending' of already looked-up rows
+                const aRowsToEnrich = aNewRows.filter(row => row.enrichmentPending);
+                const aRows = mergeRefreshedRows(aNewRows, orderModel.getProperty("/orders") || []);
+                aRows.filter(row => row.changed).forEach(row => this._invalidateOrderEnrichment(oSearch.plant, row.orderNo));
+
+                this._setOrdersKeepingScrollPosition(aRows);
+                this._syncSelection();
+
+                oSearch.nextPage = iPage;
+                orderModel.setProperty("/paging/totalElements", totalElements);
+                orderModel.setProperty("/paging/totalPages", totalPages);
+                orderModel.setProperty("/paging/fetchedCount", apiContent.length);
+                orderModel.setProperty("/paging/loadedCount", aRows.length);
+                orderModel.setProperty("/paging/hasMore", iPage < totalPages);
+                orderModel.setProperty("/autoRefresh/lastRefresh", TIME_FORMAT.format(new Date()));
+
+                // Looked up again for fresh values (cached for a short time, except for changed orders)
+                oSearch.enrichments.push(this._enrichRows(aRowsToEnrich, oSearch));
+            } finally {
+                if (oSearch === this._oSearch) {
+                    orderModel.setProperty("/paging/busy", false);
+                }
+            }
+        },
+
+    /**
+     * Replaces the rows of the orders table and scrolls back to where the user was once the table has been updated.
+     * @param {object[]} aRows - New rows for 'orderModel>/orders'.
+     */
+        _setOrdersKeepingScrollPosition: function (aRows) {
+            const oTable = this.byId("ordersTable");
+            const oScrollDelegate = mobileLibrary.getScrollDelegate(oTable, true);
+            const iScrollTop = oScrollDelegate ? oScrollDelegate.getScrollTop() : 0;
+            if (oScrollDelegate) {
+                oTable.attachEventOnce("updateFinished", () => oScrollDelegate.scrollTo(oScrollDelegate.getScrollLeft(), iScrollTop));
+            }
+            this.getView().getModel("orderModel").setProperty("/orders", aRows);
+            this._updateOrderSummary();
+        },
+
+    // === Material and order value help ===
+
+    /**
+     * Handler for typing in the material input: requests matching materials as suggestions.
+     * @param {sap.ui.base.Event} oEvent - Suggest event of the input.
+     */
+        onMaterialSuggest: function (oEvent) {
+            this._scheduleValueHelpSearch(VALUE_HELP.MATERIAL, oEvent.getParameter("suggestValue"));
+        },
+
+    /**
+     * Handler for picking a material from the suggestions.
+     * @param {sap.ui.base.Event} oEvent - SuggestionItemSelected event of the input.
+     */
+        onMaterialSuggestionSelected: function (oEvent) {
+            const oItem = oEvent.getParameter("selectedItem");
+            if (oItem) {
+                this._setMaterialKey(oItem.getBindingContext("valueHelp").getObject());
+            }
+        },
+
+    /**
+     * Handler for the value help icon of the material input: opens the material value help dialog,
+     * searching for the current input value.
+     */
+        onMaterialValueHelpRequest: function () {
+            this._openValueHelpDialog(VALUE_HELP.MATERIAL, "MaterialValueHelpDialog", this.byId("materialInput").getValue().trim());
+        },
+
+    /**
+     * Handler for searching in the material value help dialog (typing or pressing Enter).
+     * @param {sap.ui.base.Event} oEvent - Search or liveChange event of the dialog.
+     */
+        onMaterialValueHelpSearch: function (oEvent) {
+            this._scheduleValueHelpSearch(VALUE_HELP.MATERIAL, oEvent.getParameter("value"));
+        },
+
+    /**
+     * Handler for confirming the material value help dialog.
+     * @param {sap.ui.base.Event} oEvent - Confirm event of the dialog.
+     */
+        onMaterialValueHelpConfirm: function (oEvent) {
+            const oItem = oEvent.getParameter("selectedItem");
+            if (oItem) {
+                this._setMaterialKey(oItem.getBindingContext("valueHelp").getObject());
+            }
+        },
+
+    /**
+     * Handler for typing in the order number input: requests matching orders as suggestions.
+     * @param {sap.ui.base.Event} oEvent - Suggest event of the input.
+     */
+        onOrderSuggest: function (oEvent) {
+            this._scheduleValueHelpSearch(VALUE_HELP.ORDER, oEvent.getParameter("suggestValue"));
+        },
+
+    /**
+     * Handler for picking an order from the suggestions.
+     * @param {sap.ui.base.Event} oEvent - SuggestionItemSelected event of the input.
+     */
+        onOrderSuggestionSelected: function (oEvent) {
+            const oItem = oEvent.getParameter("selectedItem");
+            if (oItem) {
+                this._setOrderKey(oItem.getBindingContext("valueHelp").getObject());
+            }
+        },
+
+    /**
+     * Handler for the value help icon of the order number input: opens the order value help dialog,
+     * searching for the current input value.
+     */
+        onOrderValueHelpRequest: function () {
+            this._openValueHelpDialog(VALUE_HELP.ORDER, "OrderValueHelpDialog", this.byId("orderNoInput").getValue().trim());
+        },
+
+    /**
+     * Handler for searching in the order value help dialog (typing or pressing Enter).
+     * @param {sap.ui.base.Event} oEvent - Search or liveChange event of the dialog.
+     */
+        onOrderValueHelpSearch: function (oEvent) {
+            this._scheduleValueHelpSearch(VALUE_HELP.ORDER, oEvent.getParameter("value"));
+        },
+
+    /**
+     * Handler for confirming the order value help dialog.
+     * @param {sap.ui.base.Event} oEvent - Confirm event of the dialog.
+     */
+        onOrderValueHelpConfirm: function (oEvent) {
+            const oItem = oEvent.getParameter("selectedItem");
+            if (oItem) {
+                this._setOrderKey(oItem.getBindingContext("valueHelp").getObject());
+            }
+        },
+
+    /**
+     * Puts a picked material into the material input and remembers it as key for an exact search.
+     * @param {object} oEntry - Value help entry { material, version, description }.
+     */
+        _setMaterialKey: function (oEntry) {
+            this.byId("materialInput").setValue(oEntry.material);
+            this.getView().getModel("filterBar").setProperty("/materialKey", { material: oEntry.material, version: oEntry.version });
+        },
+
+    /**
+     * Puts a picked order into the order number input and remembers it as key for an exact search.
+     * @param {object} oEntry - Value help entry { order, material, materialVersion, executionStatus }.
+     */
+        _setOrderKey: function (oEntry) {
+            this.byId("orderNoInput").setValue(oEntry.order);
+            this.getView().getModel("filterBar").setProperty("/orderKey", oEntry.order);
+        },
+
+    /**
+     * Returns the keys picked from the value help that still match the input values.
+     * A key no longer counts once the user has changed the input text, the text is then searched as typed.
+     * @param {string} material - Current material input value.
+     * @param {string} orderNumber - Current order number input value.
+     * @returns {object} - { materialKey: { material, version } or null, orderKey: order number or "" }.
+     */
+        _getValueHelpKeys: function (material, orderNumber) {
+            const filterBarModel = this.getView().getModel("filterBar");
+            const oMaterialKey = filterBarModel.getProperty("/materialKey");
+            const sOrderKey = filterBarModel.getProperty("/orderKey");
+            return {
+                materialKey: (oMaterialKey && material && oMaterialKey.material === material) ? oMaterialKey : null,
+                orderKey: (sOrderKey && sOrderKey === orderNumber) ? sOrderKey : ""
+            };
+        },
+
+    /**
+     * Opens a value help dialog and starts the search for the given term.
+     * @param {string} sValueHelp - VALUE_HELP value.
+     * @param {string} sFragmentName - Fragment of the dialog.
+     * @param {string} sTerm - Initial search term (the input value).
+     * @returns {Promise}
+     */
+        _openValueHelpDialog: function (sValueHelp, sFragmentName, sTerm) {
+            return this._getDialog(sFragmentName).then(oDialog => {
+                this._searchValueHelp(sValueHelp, sTerm);
+                oDialog.open(sTerm);
+            });
+        },
+
+    /**
+     * Requests value help entries once the user has stopped typing for a moment.
+     * @param {string} sValueHelp - VALUE_HELP value.
+     * @param {string} sTerm - Search term.
+     */
+        _scheduleValueHelpSearch: function (sValueHelp, sTerm) {
+            clearTimeout(this._mValueHelpTimers[sValueHelp]);
+            this._mValueHelpTimers[sValueHelp] = setTimeout(() => {
+                delete this._mValueHelpTimers[sValueHelp];
+                this._searchValueHelp(sValueHelp, sTerm);
+            }, VALUE_HELP_DEBOUNCE_MS);
+        },
+
+    /**
+     * Requests the materials or orders of the user's plant matching a search term and puts them into the 'valueHelp' model.
+     * Responses of older requests for the same value help are ignored; on failure the list is emptied and the error shown as no-data text.
+     * @param {string} sValueHelp - VALUE_HELP value.
+     * @param {string} sTerm - Search term.
+     * @returns {Promise}
+     */
+        _searchValueHelp: function (sValueHelp, sTerm) {
+            const valueHelpModel = this.getView().getModel("valueHelp");
+            const iRequest = (this._mValueHelpRequests[sValueHelp] || 0) + 1;
+            this._mValueHelpRequests[sValueHelp] = iRequest;
+            valueHelpModel.setProperty("/busy", true);
+            valueHelpModel.setProperty("/error", "");
+
+            const pEntries = sValueHelp === VALUE_HELP.MATERIAL ? this._fetchMaterialEntries(sTerm) : this._fetchOrderEntries(sTerm);
+            return pEntries
+            .then(aEntries => {
+                if (iRequest !== this._mValueHelpRequests[sValueHelp]) return;
+                valueHelpModel.setProperty("/" + sValueHelp, aEntries);
+            })
+            .catch(err => {
+                if (iRequest !== this._mValueHelpRequests[sValueHelp]) return;
+                Log.warning(`Value help ${sValueHelp} could not be loaded`, err && err.message);
+                valueHelpModel.setProperty("/" + sValueHelp, []);
+                valueHelpModel.setProperty("/error", this._getText("valueHelp.failed", [this._getRestClient().getErrorMessage(err)]));
+            })
+            .finally(() => {
+                if (iRequest === this._mValueHelpRequests[sValueHelp]) {
+                    valueHelpModel.setProperty("/busy", false);
+                }
+            });
+        },
+
+    /**
+     * Fetches the materials of the user's plant whose number starts with the term (material API),
+     * keeping those whose number or description contains it.
+     * @param {string} sTerm - Search term.
+     * @returns {Promise<object[]>} - Value help entries { material, version, description }.
+     */
+        _fetchMaterialEntries: async function (sTerm) {
+            const data = await this._getRestClient().get(API_PATH.MATERIAL_LIST, {
+                plant: this.getPodController().getUserPlant(),
+                material: toStartsWithPattern(sTerm),
+                size: VALUE_HELP_SIZE
+            });
+            return getListContent(data)
+                .map(mapMaterialToValueHelpEntry)
+                .filter(e => matchesValueHelpTerm([e.material, e.description], sTerm));
+        },
+
+    /**
+     * Fetches the orders of the user's plant whose number starts with the term (order list API).
+     * @param {string} sTerm - Search term.
+     * @returns {Promise<object[]>} - Value help entries { order, material, materialVersion, executionStatus }.
+     */
+        _fetchOrderEntries: async function (sTerm) {
+            const data = await this._getRestClient().get(API_PATH.ORDER_LIST, {
+                plant: this.getPodController().getUserPlant(),
+                orderNumber: toStartsWithPattern(sTerm),
+                size: VALUE_HELP_SIZE,
+                page: 0
+            });
+            return getListContent(data)
+                .map(mapOrderToValueHelpEntry)
+                .filter(e => matchesValueHelpTerm([e.order], sTerm));
+        },
+
+    // === Table sorting, grouping and personalization ===
+
+    /**
+     * Handler for the table settings button: opens the personalization dialog (columns, sort, group).
+     * Sorting and grouping apply to the loaded orders.
+     * @param {sap.ui.base.Event} oEvent - Press event of the button.
+     */
+        onTableSettingsPress: function (oEvent) {
+            Engine.getInstance().show(this.byId("ordersTable"), ["Columns", "Sorter", "Groups"], {
+                contentHeight: "35rem",
+                contentWidth: "32rem",
+                source: oEvent.getSource()
+            });
+        },
+
+    /**
+     * Registers the orders table with the personalization engine for column visibility/order, sorting and grouping.
+     * Keeps a copy of the row template, as its cells must follow the columns when they are moved.
+     */
+        _registerTablePersonalization: function () {
+            const oTable = this.byId("ordersTable");
+            this._oRowTemplate = oTable.getBindingInfo("items").template.clone();
+            this._oTableMetadata = new MetadataHelper(TABLE_COLUMNS.map(c => Object.assign({ label: this._getText(c.labelKey) }, c)));
+
+            Engine.getInstance().register(oTable, {
+                helper: this._oTableMetadata,
+                controller: {
+                    Columns: new SelectionController({ targetAggregation: "columns", control: oTable }),
+                    Sorter: new SortController({ control: oTable }),
+                    Groups: new GroupController({ control: oTable })
+                }
+            });
+            this._fnTableStateChange = this._onTableStateChange.bind(this);
+            Engine.getInstance().attachStateChange(this._fnTableStateChange);
+        },
+
+    /**
+     * Applies the personalization the user saved in an earlier session, if any (once per controller).
+     */
+        _restoreTablePersonalization: function () {
+            if (this._bTablePersonalizationRestored) return;
+            this._bTablePersonalizationRestored = true;
+
+            const sKey = this._getUserSettingsKey(TABLE_PERSONALIZATION_KEY);
+            const oState = sKey && this._oUserStorage.get(sKey);
+            if (!oState) return;
+            Engine.getInstance().applyState(this.byId("ordersTable"), oState)
+                .catch(err => Log.warning("Saved table personalization could not be applied", err && err.message));
+        },
+
+    /**
+     * Handler for personalization changes (dialog or restored state): applies the new state to the table and saves it for the user.
+     * @param {sap.ui.base.Event} oEvent - stateChange event of the personalization engine.
+     */
+        _onTableStateChange: function (oEvent) {
+            const oTable = this.byId("ordersTable");
+            const oState = oEvent.getParameter("state");
+            if (oEvent.getParameter("control") !== oTable || !oState) return;
+
+            this._applyTableState(oState);
+            const sKey = this._getUserSettingsKey(TABLE_PERSONALIZATION_KEY);
+            if (sKey) {
+                this._oUserStorage.put(sKey, oState);
+            }
+        },
+
+    /**
+     * Applies a personalization state to the orders table.
+     * - Columns: the selection column stays first, the chosen columns follow in the chosen order, all others are hidden.
+     * - The row template cells are rearranged to match the new column order.
+     * - Groups and Sorter: the items are rebound with group sorters first, then the sort sorters.
+     * @param {object} oState - { Columns: [{ key }], Sorter: [{ key, descending }], Groups: [{ key }] }.
+     */
+        _applyTableState: function (oState) {
+            const oTable = this.byId("ordersTable");
+            const oView = this.getView();
+            const getPath = sKey => {
+                const oProperty = this._oTableMetadata.getProperty(sKey);
+                return oProperty ? oProperty.path : "";
+            };
+
+            // Column visibility and order
+            TABLE_COLUMNS.forEach(c => {
+                const oColumn = this.byId(c.key);
+                oColumn.setVisible(false);
+                oColumn.setSortIndicator(SortOrder.None);
+            });
+            (oState.Columns || [])
+                .filter(c => TABLE_COLUMNS.some(tc => tc.key === c.key))
+                .forEach((c, i) => {
+                    const oColumn = this.byId(c.key);
+                    oColumn.setVisible(true);
+                    oTable.removeColumn(oColumn);
+                    oTable.insertColumn(oColumn, i + 1);
+                });
+
+            // Row template cells in the same order as the columns
+            const aTemplateOrder = [SELECT_COLUMN_ID].concat(TABLE_COLUMNS.map(c => c.key));
+            const oTemplate = this._oRowTemplate.clone();
+            const aCells = oTemplate.removeAllCells();
+            oTable.getColumns().forEach(oColumn => {
+                oTemplate.addCell(aCells[aTemplateOrder.indexOf(oView.getLocalId(oColumn.getId()))]);
+            });
+
+            // Grouping first, then sorting (a sort on the grouped property only sets its direction).
+            // Execution status groups get the translated status as header.
+            const aSorters = [];
+            const fnStatusGroup = oContext => {
+                const sStatus = oContext.getProperty("executionStatus");
+                return { key: sStatus, text: this.formatExecutionStatus(sStatus) };
+            };
+            (oState.Groups || []).forEach(g => {
+                const sPath = getPath(g.key);
+                if (sPath) aSorters.push(new Sorter(sPath, false, sPath === "executionStatus" ? fnStatusGroup : true));
+            });
+            (oState.Sorter || []).forEach(s => {
+                const sPath = getPath(s.key);
+                if (!sPath) return;
+                const oGroupSorter = aSorters.find(o => o.sPath === sPath);
+                if (oGroupSorter) {
+                    oGroupSorter.bDescending = !!s.descending;
+                } else {
+                    aSorters.push(new Sorter(sPath, !!s.descending));
+                }
+                this.byId(s.key).setSortIndicator(s.descending ? SortOrder.Descending : SortOrder.Ascending);
+            });
+
+            oTable.bindItems({
+                path: "orderModel>/orders",
+                template: oTemplate,
+                sorter: aSorters,
+                templateShareable: false
+            });
+        },
+
+    /**
+     * Returns the storage key of a per-user setting: the setting name with the POD user appended.
+     * Without a known user there is no key, so settings are neither read nor saved (users must not share them).
+     * @param {string} sName - Setting name.
+     * @returns {string|null} - Storage key, or null if the POD does not provide the user ID.
+     */
+        _getUserSettingsKey: function (sName) {
+            const podController = this.getPodController && this.getPodController();
+            const sUser = podController && podController.getUserId && podController.getUserId();
+            return sUser ? `${sName}.${sUser}` : null;
+        },
+
 
 
             
-        /**
-         * Helper: Fetch CSRF token for a URL (needed for PATCH/POST/DELETE in SAP REST APIs)
-         * Always uses GET method and 'X-CSRF-Token: Fetch' header.
-         * @param {string} url - The URL to fetch token from (use GET endpoint of your service)
-         * @returns {Promise<string|null>} - The CSRF token, or null if not found
-         */
-        // fetchCsrfToken: async function(url) {
-        //     const res = await fetch(url, {
-        //         method: "GET",
-        //         headers: { "X-CSRF-Token": "Fetch" },
-        //         credentials: "include" // needed for cookies/session in SAP
-        //     });
-        //     return res.headers.get("x-csrf-token");
-        // },
         
 
     /**
@@ -511,7 +4168,7 @@ sap.ui.define([
                         fnErrorCallback(oError);
                     } else {
                         Log.error("AJAX GET failed:", sHttpErrorMessage, oError);
-                        MessageToast.show("AJAX request failed.");
+                        MessageToast.show(this._getText("ajax.failed"));
                     }
                 }
             );
@@ -0,0 +1,15 @@
+// Names of the POD events the Complete Order plugin reacts to or publishes, shared by its controllers
+sap.ui.define([], function () {
+    "use strict";
+
+    return Object.freeze({
+        // Selection of the POD changed (POD selection model), e.g. by a worklist plugin
+        SELECTION_CHANGE: "PodSelectionChangeEvent",
+        // Selection in a worklist plugin; data { selections: [...] }
+        WORKLIST_SELECT: "WorklistSelectEvent",
+        // Published by this plugin when orders are (de)selected; data { selections: [{ order, sfc }] } with sfc = Parent SFC
+        ORDER_SELECT: "CompleteOrderSelectEvent",
+        // Published by this plugin after orders changed, so other plugins reload; data { action, orders }
+        REFRESH: "WorklistRefreshEvent"
+    });
+});
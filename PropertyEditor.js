@@ -0,0 +1,87 @@
+// POD Designer property editor for the Complete Order plugin in SAP DM
+sap.ui.define([
+    "sap/dm/dme/podfoundation/control/PropertyEditor"
+], function (PropertyEditor) {
+    "use strict";
+
+    // === Property editor definition (configuration shown in the POD Designer) ===
+
+    return PropertyEditor.extend("bobm.custom.completeorderplugin.orderviewplugin.builder.PropertyEditor", {
+
+    /**
+     * Sets the resource bundles used for the property labels in the POD Designer.
+     */
+        constructor: function (sId, mSettings) {
+            PropertyEditor.apply(this, arguments);
+
+            this.setI18nKeyPrefix("orderViewConfig.");
+            this.setResourceBundleName("bobm.custom.completeorderplugin.orderviewplugin.i18n.builder");
+        },
+
+    /**
+     * Adds the plugin's configuration fields to the POD Designer form.
+     * Order list and actions:
+     * - pageSize: orders requested per call to the order list API.
+     * - selectableStatuses: comma separated execution statuses whose orders can be selected for actions
+     *   (add COMPLETED to close orders, HOLD to release orders from hold).
+     * - invalidationTimeoutSeconds: longest wait for invalidated SFCs to report INVALID before completing the order.
+     * - reconciliationTolerancePercent: allowed quantity difference in reconciliation mode, in percent of the build quantity.
+     * - showAdjustQty / showDiscard: show the Adjust Qty and Discard Order actions.
+     * - holdReasonCodes: comma separated reason codes offered for "Hold".
+     * Roles allowed to run an action (comma separated; empty allows every user of the POD):
+     * - completeOrderRoles, closeOrderRoles, holdOrderRoles, releaseOrderRoles, adjustQtyRoles, discardOrderRoles.
+     * Role restriction needs a POD whose controller provides the user's roles ('getUserRoles'); the standard POD
+     * controller does not, and then an action with roles configured is hidden for every user.
+     * SFC cleanup policy applied by "Complete Order":
+     * - sfcCleanupStatuses: comma separated SFC statuses that get invalidated before completion.
+     * - sfcCleanupIncludeChildSfcs: also invalidate child/split SFCs, not only the Parent SFC.
+     * - sfcCleanupStopOnFailure: do not complete the order if an SFC could not be invalidated.
+     * @param {sap.ui.layout.form.FormContainer} oPropertyFormContainer - Form container of the designer.
+     */
+        addPropertyEditorContent: function (oPropertyFormContainer) {
+            const oData = this.getPropertyData();
+
+            this.addInputField(oPropertyFormContainer, "pageSize", oData);
+            this.addInputField(oPropertyFormContainer, "selectableStatuses", oData);
+            this.addInputField(oPropertyFormContainer, "invalidationTimeoutSeconds", oData);
+            this.addInputField(oPropertyFormContainer, "reconciliationTolerancePercent", oData);
+            this.addSwitch(oPropertyFormContainer, "showAdjustQty", oData);
+            this.addSwitch(oPropertyFormContainer, "showDiscard", oData);
+            this.addInputField(oPropertyFormContainer, "holdReasonCodes", oData);
+            this.addInputField(oPropertyFormContainer, "completeOrderRoles", oData);
+            this.addInputField(oPropertyFormContainer, "closeOrderRoles", oData);
+            this.addInputField(oPropertyFormContainer, "holdOrderRoles", oData);
+            this.addInputField(oPropertyFormContainer, "releaseOrderRoles", oData);
+            this.addInputField(oPropertyFormContainer, "adjustQtyRoles", oData);
+            this.addInputField(oPropertyFormContainer, "discardOrderRoles", oData);
+            this.addInputField(oPropertyFormContainer, "sfcCleanupStatuses", oData);
+            this.addSwitch(oPropertyFormContainer, "sfcCleanupIncludeChildSfcs", oData);
+            this.addSwitch(oPropertyFormContainer, "sfcCleanupStopOnFailure", oData);
+        },
+
+    /**
+     * Default configuration of a newly added plugin; matches the controller's behaviour without configuration.
+     * @returns {object}
+     */
+        getDefaultPropertyData: function () {
+            return {
+                pageSize: 200,
+                selectableStatuses: "ACTIVE,NOT_IN_EXECUTION",
+                invalidationTimeoutSeconds: 30,
+                reconciliationTolerancePercent: 0,
+                showAdjustQty: true,
+                showDiscard: true,
+                holdReasonCodes: "",
+                completeOrderRoles: "",
+                closeOrderRoles: "",
+                holdOrderRoles: "",
+                releaseOrderRoles: "",
+                adjustQtyRoles: "",
+                discardOrderRoles: "",
+                sfcCleanupStatuses: "NEW",
+                sfcCleanupIncludeChildSfcs: false,
+                sfcCleanupStopOnFailure: false
+            };
+        }
+    });
+});
@@ -4,9 +4,32 @@ sap.ui.define([
     "sap/base/Log",
     "sap/m/MessageToast",
     "sap/m/MessageBox",
-], function (JSONModel, PluginViewController, Log, MessageToast,MessageBox) {
+    "sap/ui/model/resource/ResourceModel",
+    "sap/ui/core/format/DateFormat",
+    "sap/ui/core/format/NumberFormat",
+    "bobm/custom/completeorderplugin/orderviewplugin/service/DmRestClient",
+    "bobm/custom/completeorderplugin/orderviewplugin/service/PodEvents"
+], function (JSONModel, PluginViewController, Log, MessageToast,MessageBox, ResourceModel, DateFormat, NumberFormat, DmRestClient, POD_EVENT) {
     "use strict";
  
+    // Resource bundle with the texts of the order view (i18n.properties, i18n_de.properties, ...)
+    const I18N_BUNDLE_NAME = "bobm.custom.completeorderplugin.orderviewplugin.i18n.i18n";
+ 
+    // Dates and quantities are shown in the user's locale
+    const DATE_TIME_FORMAT = DateFormat.getDateTimeInstance({ style: "medium" });
+    const QUANTITY_FORMAT = NumberFormat.getFloatInstance();
+ 
+    // Paths of the DM public API endpoints, relative to the public API data source
+    const API_PATH = {
+        ORDER_LIST: "/order/v1/orders/list",
+        ORDER_DETAIL: "/order/v1/orders",
+        ORDER_DISCARD: "/order/v1/orders/discard",
+        SFC_DETAIL: "/sfc/v1/sfcdetail",
+        SFC_WORKLIST: "/sfc/v1/worklist/sfcs",
+        SFC_INVALIDATE: "/sfc/v1/sfcs/invalidate",
+        SFC_SET_QUANTITY: "/sfc/v1/sfcs/setQuantity"
+    };
+ 
     var oOrderNumber, oParentSFCNumber,obuildQty, oDeliveredQty;
  
     /**
@@ -30,29 +53,26 @@ sap.ui.define([
     }
  
     /**
-     * Formats an ISO date string to "DD/MM/YYYY, hh:mm:ss am/pm" (Indian locale).
+     * Formats an ISO date string as date and time in the user's locale (e.g. "Jul 31, 2025, 6:00:30 PM" in English).
      * Returns "-" if input is invalid.
      * @param {string} dateStr - ISO date string.
      * @returns {string}
      */
     function formatDate(dateStr) {
         if (!dateStr) return "-";
-        try {
-            const date = new Date(dateStr);
-            if (isNaN(date.getTime())) return "-";
-            // Format: 'Jul 31, 2025, 6:00:30 PM'
-            return date.toLocaleString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric',
-                hour: 'numeric',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: true
-            });
-        } catch {
-            return "-";
-        }
+        const date = new Date(dateStr);
+        if (isNaN(date.getTime())) return "-";
+        return DATE_TIME_FORMAT.format(date);
+    }
+ 
+    /**
+     * Formats a quantity in the user's locale followed by the UOM, e.g. "1.250,5 KG" in German.
+     * @param {number} value - Quantity.
+     * @param {string} uom - Unit of Measure.
+     * @returns {string}
+     */
+    function formatQuantityWithUom(value, uom) {
+        return (QUANTITY_FORMAT.format(value) + " " + uom).trim();
     }
    
  
@@ -87,12 +107,12 @@ sap.ui.define([
                 : "-",
             materialDesc: orderApiObj.material?.description || "",
             executionStatus: orderApiObj.executionStatus || "-",
-            buildQty: orderApiObj.buildQuantity !== undefined ? orderApiObj.buildQuantity + " " + uom : "-",
-            doneQty: orderApiObj.doneQuantity !== undefined ? orderApiObj.doneQuantity + " " + uom : "-",
+            buildQty: orderApiObj.buildQuantity !== undefined ? formatQuantityWithUom(orderApiObj.buildQuantity, uom) : "-",
+            doneQty: orderApiObj.doneQuantity !== undefined ? formatQuantityWithUom(orderApiObj.doneQuantity, uom) : "-",
             dmReleasedQty: "-", // Default, will be filled later asynchronously if needed
             availableQty:
                 (orderApiObj.buildQuantity !== undefined && orderApiObj.doneQuantity !== undefined)
-                    ? (orderApiObj.buildQuantity - orderApiObj.doneQuantity) + " " + uom
+                    ? formatQuantityWithUom(orderApiObj.buildQuantity - orderApiObj.doneQuantity, uom)
                     : "-",
             scheduledStartEnd: formatDate(orderApiObj.scheduledStartDate) + "\n" + formatDate(orderApiObj.scheduledCompletionDate),
             scheduledStartDate: orderApiObj.scheduledStartDate,
@@ -117,10 +137,36 @@ sap.ui.define([
             if (PluginViewController.prototype.onInit) {
                 PluginViewController.prototype.onInit.apply(this, arguments);
             }
+            // Texts in the user's language
+            this.getView().setModel(new ResourceModel({ bundleName: I18N_BUNDLE_NAME }), "i18n");
             // Initialize an empty model so the UI can bind to it without errors
             this.getView().setModel(new JSONModel({ orders: [], selectedOrderNo: "" }), "orderModel");
         },
  
+        /**
+         * Returns a text of the order view in the user's language.
+         * @param {string} sKey - Text key from i18n.properties.
+         * @param {any[]} [aArgs] - Values for the placeholders {0}, {1}, ...
+         * @returns {string}
+         */
+        _getText: function (sKey, aArgs) {
+            return this.getView().getModel("i18n").getResourceBundle().getText(sKey, aArgs);
+        },
+ 
+        /**
+         * Returns the shared client for the DM public API (CSRF handling, retries, normalized errors).
+         * @returns {bobm.custom.completeorderplugin.orderviewplugin.service.DmRestClient}
+         */
+        _getRestClient: function () {
+            if (!this._oRestClient) {
+                this._oRestClient = new DmRestClient({
+                    baseUrl: this.getPublicApiRestDataSourceUri(),
+                    getText: this._getText.bind(this)
+                });
+            }
+            return this._oRestClient;
+        },
+ 
         /**
          * Handler for "Filter" button press.
          * Reads all input fields, validates mandatory fields,
@@ -151,16 +197,16 @@ sap.ui.define([
  
             // === Validation section ===
             if ((hasDateFrom && !hasDateTo) || (!hasDateFrom && hasDateTo)) {
-                MessageToast.show("Please provide both 'Date From' and 'Date To' to search by date range.");
+                MessageToast.show(this._getText("search.bothDatesRequired"));
                 return;
             }
             if (!hasMaterial && !hasExecStatus && !hasOrder && !(hasDateFrom && hasDateTo)) {
-                MessageToast.show("Please provide at least one search parameter.");
+                MessageToast.show(this._getText("search.parameterRequired"));
                 return;
             }
             // From date cannot be after To date
             if (dateFromObj && dateToObj && dateFromObj > dateToObj) {
-                MessageToast.show("Date From cannot be later than Date To.");
+                MessageToast.show(this._getText("search.dateFromAfterDateTo"));
                 return;
             }
  
@@ -173,9 +219,6 @@ sap.ui.define([
             // Fetch plant from pod controller, which may depend on logged-in user/session
             const oPlant = this.getPodController().getUserPlant();
  
-            // Backend API endpoint for order list
-            const sListUrl = this.getPublicApiRestDataSourceUri() + "/order/v1/orders/list"; // Order List api
- 
             // Query parameters for API call
  
             const params = { size: 200, page: 0 };
@@ -193,13 +236,10 @@ sap.ui.define([
  
             // === Actual backend fetch ===
  
-            fetch(sListUrl + "?" + new URLSearchParams(params).toString())
-            .then(response => {
-                if (!response.ok) throw new Error("Server/API error");
-                return response.json();
-            })
+            const client = this._getRestClient();
+            client.get(API_PATH.ORDER_LIST, params)
             .then(async apiData => {
-                let ordersList = apiData.content || [];
+                let ordersList = (apiData && apiData.content) || [];
  
                 // === Client-side post-filtering (for extra safety) ===
  
@@ -236,46 +276,36 @@ sap.ui.define([
                     let dmReleasedQty = "-";  // Default
                
                     if ((orderObj.executionStatus === "ACTIVE" ) || (orderObj.executionStatus === "NOT_IN_EXECUTION")) {
-                        const orderDetailUrl = `${this.getPublicApiRestDataSourceUri()}/order/v1/orders?plant=${encodeURIComponent(oPlant)}&order=${encodeURIComponent(orderObj.order)}`;
                         try {
-                            const orderDetailResponse = await fetch(orderDetailUrl);
-                            if (orderDetailResponse.ok) {
-                                const orderDetailData = await orderDetailResponse.json();
-                                let sfcs = orderDetailData.sfcs || [];
-                                // Find first SFC containing the order string (case-sensitive)
-                                let foundSFC = undefined;
-                                if (orderObj.order && Array.isArray(sfcs)) {
-                                    foundSFC = sfcs.find(sfcName => sfcName.includes(orderObj.order));
-                                }
-                                if (foundSFC) {
-                                    parentSFC = foundSFC;
+                            const orderDetailData = await client.get(API_PATH.ORDER_DETAIL, { plant: oPlant, order: orderObj.order });
+                            let sfcs = (orderDetailData && orderDetailData.sfcs) || [];
+                            // Find first SFC containing the order string (case-sensitive)
+                            let foundSFC = undefined;
+                            if (orderObj.order && Array.isArray(sfcs)) {
+                                foundSFC = sfcs.find(sfcName => sfcName.includes(orderObj.order));
+                            }
+                            if (foundSFC) {
+                                parentSFC = foundSFC;
                
-                                    // Fetch DM Released Qty from SFC Detail API
-                                    const sfcDetailUrl = `${this.getPublicApiRestDataSourceUri()}/sfc/v1/sfcdetail?plant=${encodeURIComponent(oPlant)}&sfc=${encodeURIComponent(foundSFC)}`; //SFC detail api
-                                    try {
-                                        const sfcDetailResponse = await fetch(sfcDetailUrl);
-                                        if (sfcDetailResponse.ok) {
-                                            const sfcDetailData = await sfcDetailResponse.json();
-                                            // The DM released quantity is in "quantity"
-                                            if (
-                                                sfcDetailData &&
-                                                typeof sfcDetailData.quantity !== "undefined" &&
-                                                sfcDetailData.quantity !== null
-                                            ) {
-                                                dmReleasedQty = sfcDetailData.quantity.toString();
-                                            } else {
-                                                dmReleasedQty = "-";
-                                            }
-                                        } else {
-                                            dmReleasedQty = "-";
-                                        }
-                                    } catch (sfcErr) {
+                                // Fetch DM Released Qty from SFC Detail API
+                                try {
+                                    const sfcDetailData = await client.get(API_PATH.SFC_DETAIL, { plant: oPlant, sfc: foundSFC });
+                                    // The DM released quantity is in "quantity"
+                                    if (
+                                        sfcDetailData &&
+                                        typeof sfcDetailData.quantity !== "undefined" &&
+                                        sfcDetailData.quantity !== null
+                                    ) {
+                                        dmReleasedQty = sfcDetailData.quantity.toString();
+                                    } else {
                                         dmReleasedQty = "-";
                                     }
-                                } else {
-                                    parentSFC = "-";
+                                } catch (sfcErr) {
                                     dmReleasedQty = "-";
                                 }
+                            } else {
+                                parentSFC = "-";
+                                dmReleasedQty = "-";
                             }
                         } catch (error) {
                             parentSFC = "-";
@@ -297,15 +327,15 @@ sap.ui.define([
  
                 // Update item count in table heading
                 if (oItemsHeading && oItemsHeading.setText) {
-                    oItemsHeading.setText(`Items (${enhancedOrders.length.toString().padStart(2, "0")})`);
+                    oItemsHeading.setText(this._getText("table.heading", [enhancedOrders.length.toString().padStart(2, "0")]));
                 }
             })
             .catch(err => {
                 // Any error: showing user-friendly message, clear table, reset count
-                MessageToast.show("Failed to fetch orders: " + err.message);
+                MessageToast.show(this._getText("search.failed", [this._getRestClient().getErrorMessage(err)]));
                 this.getView().getModel("orderModel").setProperty("/orders", []);
                 if (oItemsHeading && oItemsHeading.setText) {
-                    oItemsHeading.setText("Items (00)");
+                    oItemsHeading.setText(this._getText("table.heading", ["00"]));
                 }
             });
         },
@@ -327,7 +357,7 @@ sap.ui.define([
                         fnErrorCallback(oError);
                     } else {
                         Log.error("AJAX GET failed:", sHttpErrorMessage, oError);
-                        MessageToast.show("AJAX request failed.");
+                        MessageToast.show(this._getText("ajax.failed"));
                     }
                 }
             );
@@ -339,39 +369,30 @@ sap.ui.define([
             const selectedOrderNo = orderModel.getProperty("/selectedOrderNo");
             const executionStatus = orderModel.getProperty("/selectedExecutionStatus");
             const plant = this.getPodController().getUserPlant();
-            const baseApiUrl = this.getPublicApiRestDataSourceUri();
+            const client = this._getRestClient();
        
             if (!selectedOrderNo) {
-                MessageToast.show("Please select an order first.");
+                MessageToast.show(this._getText("complete.selectOrder"));
                 return;
             }
        
             if (executionStatus === "ACTIVE") {
-                MessageToast.show("There are Active SFCs, Kindly Complete those SFCs first.");
+                MessageToast.show(this._getText("complete.legacy.activeSfcs"));
                 return;
             }
        
             if (executionStatus === "NOT_IN_EXECUTION") {
-                // Use the correct endpoint as per your last message
-                const sfcListUrl = `${baseApiUrl}/sfc/v1/worklist/sfcs?plant=${encodeURIComponent(plant)}&filter.order=${encodeURIComponent(selectedOrderNo)}`;
-       
                 try {
-                    const sfcListResponse = await fetch(sfcListUrl);
-       
-                    // Robustly handle possible empty or invalid response
-                    const responseText = await sfcListResponse.text();
-                    let sfcs = [];
-                    if (responseText.trim() !== "") {
-                        try {
-                            sfcs = JSON.parse(responseText);
-                        } catch (e) {
-                            MessageToast.show("Invalid JSON in SFC List API response.");
-                            return;
-                        }
-                    } // else sfcs remains as []
+                    // Robustly handle possible empty or invalid response (the client returns non-JSON bodies as text)
+                    const response = await client.get(API_PATH.SFC_WORKLIST, { plant: plant, "filter.order": selectedOrderNo });
+                    if (typeof response === "string") {
+                        MessageToast.show(this._getText("complete.legacy.invalidJson"));
+                        return;
+                    }
+                    const sfcs = response || [];
        
                     if (!Array.isArray(sfcs) || sfcs.length === 0) {
-                        MessageToast.show(`No SFCs found for Order ${selectedOrderNo}.`);
+                        MessageToast.show(this._getText("complete.legacy.noSfcs", [selectedOrderNo]));
                         return;
                     }
        
@@ -387,34 +408,25 @@ sap.ui.define([
        
                     // Proceed to invalidate each SFC (one by one)
                     for (const sfcNumber of sfcsToInvalidate) {
-                        const invalidateUrl = `${baseApiUrl}/sfc/v1/sfcs/invalidate?plant=${encodeURIComponent(plant)}&sfc=${encodeURIComponent(sfcNumber)}`;
-       
                         try {
-                            const invalidateResponse = await fetch(invalidateUrl, {
-                                method: "PATCH",
-                                headers: { "Content-Type": "application/json" }
-                            });
-       
-                            if (!invalidateResponse.ok) {
-                                const errorMsg = await invalidateResponse.text();
-                                MessageToast.show(`Failed to invalidate SFC ${sfcNumber}: ${errorMsg}`);
-                                // Continue with next SFC
-                            }
+                            await client.patch(API_PATH.SFC_INVALIDATE, { plant: plant, sfc: sfcNumber });
                         } catch (err) {
-                            MessageToast.show(`Error invalidating SFC ${sfcNumber}: ${err.message}`);
+                            // Rejected by the server, or not reached at all; continue with next SFC
+                            const sKey = err.status ? "complete.invalidateFailed" : "complete.legacy.invalidateError";
+                            MessageToast.show(this._getText(sKey, [sfcNumber, this._getRestClient().getErrorMessage(err)]));
                         }
                     }
        
                     // Success message after all attempts
-                    MessageToast.show("SFC deleted and order completed.");
+                    MessageToast.show(this._getText("complete.legacy.done"));
                     // Optionally refresh the table
                     this.onFilterPress();
        
                 } catch (error) {
-                    MessageToast.show(`Error: ${error.message}`);
+                    MessageToast.show(this._getText("complete.legacy.error", [this._getRestClient().getErrorMessage(error)]));
                 }
             } else {
-                MessageToast.show("Only orders with status ACTIVE or NOT IN EXECUTION can be completed.");
+                MessageToast.show(this._getText("complete.legacy.statusNotAllowed"));
             }
         },  
        
@@ -425,14 +437,10 @@ sap.ui.define([
  
         // =============================== Adjust qty button function code start from here ===================================
  
-        onAdjustQty: function() {
+        onAdjustQty: async function() {
             var oPlant = this.getPodController().getUserPlant();
-            console.log(oPlant);
             //get the qty need to update
             const qtyToUpdate = this.byId("qtyInput").getValue();
-            console.log("qtyToUpdate", qtyToUpdate);
-            const sUrl = this.getPublicApiRestDataSourceUri() + "/sfc/v1/sfcs/setQuantity";
-            console.log(sUrl);
             var oParameters = {
                 "plant": oPlant,
                 "sfcQuantityRequests": [{
@@ -443,17 +451,12 @@ sap.ui.define([
  
             //validation for qty check
  
-            this.ajaxPostRequest(
-                sUrl, oParameters,
-                (response) => {
-                    sap.m.MessageToast.show("New qty set Successfully!");
-                    // console.log("Print Response:", response);
-                },
-                (error) => {
-                    sap.m.MessageToast.show("Error while setting the new qty.\n" + error.error.message);
-                    //  console.error("Print Error:", error);
-                })
- 
+            try {
+                await this._getRestClient().post(API_PATH.SFC_SET_QUANTITY, null, oParameters);
+                MessageToast.show(this._getText("adjust.legacySuccess"));
+            } catch (error) {
+                MessageToast.show(this._getText("adjust.failed", [this._getRestClient().getErrorMessage(error)]));
+            }
         },
  
         // =============================== Adjust qty button function code Ends here ===================================
@@ -461,22 +464,15 @@ sap.ui.define([
  
         // =============================== Discard Order button function code start here ===================================
  
-        onDiscardOrder: function() {
+        onDiscardOrder: async function() {
             var oPlant = this.getPodController().getUserPlant();
  
-            const sUrl = this.getPublicApiRestDataSourceUri() + "/order/v1/orders/discard" + "?plant=" + oPlant + "&order=" + oOrderNumber;
-            console.log(sUrl);
- 
-            this.ajaxPostRequest(
-                sUrl, {},
-                (response) => {
-                    sap.m.MessageToast.show("Order Discarded Successfully!");
-                    // console.log("Print Response:", response);
-                },
-                (error) => {
-                    sap.m.MessageToast.show("Error while discarding Order.\n" + error);
-                    //  console.error("Print Error:", error);
-                })
+            try {
+                await this._getRestClient().post(API_PATH.ORDER_DISCARD, { plant: oPlant, order: oOrderNumber });
+                MessageToast.show(this._getText("discard.legacySuccess"));
+            } catch (error) {
+                MessageToast.show(this._getText("discard.failed", [this._getRestClient().getErrorMessage(error)]));
+            }
         },
  
         // =============================== Discard Order button function code Ends here ===================================
@@ -489,13 +485,18 @@ sap.ui.define([
  
             if (oContext) {
                 var selectedData = oContext.getObject(); // data from this row
-                console.log("Selected Order:", selectedData);
                 oOrderNumber = selectedData.orderNo; //get order number from selected row
                 //obuildQty=selectedData.bui
                 oParentSFCNumber = selectedData.parentSFC; //get parent sfc number from selected row
-                console.log("Order number is ", oOrderNumber, "parent sfc number is ", oParentSFCNumber)
+                Log.debug(`Selected order ${oOrderNumber}, parent SFC ${oParentSFCNumber}`);
+                // Tell the other plugins of the POD which order (and Parent SFC) was chosen
+                this.publish(POD_EVENT.ORDER_SELECT, {
+                    source: this,
+                    sendToAllPages: true,
+                    selections: [{ order: oOrderNumber, sfc: oParentSFCNumber }]
+                });
             } else {
-                console.warn("No binding context found for the selected radio button.");
+                Log.warning("No binding context found for the selected radio button.");
             }
         }
     });